@@ -1,6 +1,6 @@
 /*:
  * @target MZ
- * @plugindesc v1.0.2 - A simple toast notification system for RPG Maker MZ
+ * @plugindesc v1.25.0 - A simple toast notification system for RPG Maker MZ
  * @author Reishandy
  *
  * @param MaxWidth
@@ -8,9 +8,23 @@
  * @min 10
  * @max 100
  * @text Toast Width (%)
- * @desc Percentage of the screen width for toast notifications.
+ * @desc Percentage of the UI area width for toast notifications.
  * @default 70
  *
+ * @param MinPixelWidth
+ * @type number
+ * @min 0
+ * @text Minimum Width (px)
+ * @desc Toasts are never narrower than this many pixels. 0 for no minimum.
+ * @default 0
+ *
+ * @param MaxPixelWidth
+ * @type number
+ * @min 0
+ * @text Maximum Width (px)
+ * @desc Toasts are never wider than this many pixels, whatever the percentage. 0 for no limit.
+ * @default 0
+ *
  * @param MaxToasts
  * @type number
  * @min 1
@@ -35,21 +49,275 @@
  * @desc How long toasts stay visible (in frames, 60 frames = 1 second)
  * @default 180
  *
+ * @param EvictionPolicy
+ * @type select
+ * @option Drop Oldest
+ * @value oldest
+ * @option Drop Lowest Priority
+ * @value lowest
+ * @option Hold New Toasts
+ * @value hold
+ * @text Eviction Policy
+ * @desc What happens when Maximum Toasts are open and another toast is waiting. See help for details.
+ * @default oldest
+ *
+ * @param QueueSpacing
+ * @type number
+ * @min 0
+ * @max 600
+ * @text Queue Spacing
+ * @desc Frames to wait between showing queued toasts (60 frames = 1 second).
+ * @default 30
+ *
+ * @param MergeWindow
+ * @type number
+ * @min 0
+ * @max 3600
+ * @text Merge Window
+ * @desc Frames in which an identical toast is merged into an open or queued one with a ×N counter. 0 to disable.
+ * @default 120
+ *
+ * @param SaveQueue
+ * @type boolean
+ * @text Save Pending Toasts
+ * @desc Save toasts still waiting in the queue with the game, so they show again after loading.
+ * @default false
+ *
  * @param SlideSpeed
  * @type number
  * @min 1
  * @max 16
  * @text Slide Speed
- * @desc Speed of toast sliding animation (1-16)
+ * @desc Speed at which toasts slide into their new place when the stack changes (1-16)
  * @default 8
  *
+ * @param EnterAnimation
+ * @type combo
+ * @option fade
+ * @option slideLeft
+ * @option slideRight
+ * @option slideTop
+ * @option slideBottom
+ * @option pop
+ * @option bounce
+ * @text Enter Animation
+ * @desc Animation of appearing toasts. Animations registered by other plugins can be typed in.
+ * @default fade
+ *
+ * @param ExitAnimation
+ * @type combo
+ * @option fade
+ * @option slideLeft
+ * @option slideRight
+ * @option slideTop
+ * @option slideBottom
+ * @option pop
+ * @option bounce
+ * @text Exit Animation
+ * @desc Animation of leaving toasts. Animations registered by other plugins can be typed in.
+ * @default fade
+ *
+ * @param EnterEasing
+ * @type combo
+ * @option linear
+ * @option easeOutCubic
+ * @option easeOutBack
+ * @text Enter Easing
+ * @desc Easing curve of the enter animation.
+ * @default easeOutCubic
+ *
+ * @param ExitEasing
+ * @type combo
+ * @option linear
+ * @option easeOutCubic
+ * @option easeOutBack
+ * @text Exit Easing
+ * @desc Easing curve of the exit animation.
+ * @default easeOutCubic
+ *
+ * @param EnterDuration
+ * @type number
+ * @min 1
+ * @max 120
+ * @text Enter Duration
+ * @desc Length of the enter animation in frames.
+ * @default 16
+ *
+ * @param ExitDuration
+ * @type number
+ * @min 1
+ * @max 120
+ * @text Exit Duration
+ * @desc Length of the exit animation in frames.
+ * @default 16
+ *
  * @param ToastPosition
  * @type select
- * @option Top
- * @option Bottom
+ * @option Top Left
+ * @value topLeft
+ * @option Top Center
+ * @value top
+ * @option Top Right
+ * @value topRight
+ * @option Middle Left
+ * @value left
+ * @option Center
+ * @value center
+ * @option Middle Right
+ * @value right
+ * @option Bottom Left
+ * @value bottomLeft
+ * @option Bottom Center
+ * @value bottom
+ * @option Bottom Right
+ * @value bottomRight
  * @text Toast Position
- * @desc Position of the toasts on the screen (Top or Bottom).
- * @default Bottom
+ * @desc Screen anchor of the toasts.
+ * @default bottom
+ *
+ * @param MarginX
+ * @type number
+ * @min 0
+ * @text Horizontal Margin
+ * @desc Distance in pixels between the toasts and the left or right edge of the UI area.
+ * @default 0
+ *
+ * @param MarginY
+ * @type number
+ * @min 0
+ * @text Vertical Margin
+ * @desc Distance in pixels between the toasts and the top or bottom edge of the UI area.
+ * @default 0
+ *
+ * @param StackDirection
+ * @type select
+ * @option Auto
+ * @value auto
+ * @option Up
+ * @value up
+ * @option Down
+ * @value down
+ * @text Stack Direction
+ * @desc Direction older toasts are pushed to. Auto grows up from bottom anchors and down from the others.
+ * @default auto
+ *
+ * @param ClickKey
+ * @type combo
+ * @option tab
+ * @option shift
+ * @option control
+ * @option pageup
+ * @option pagedown
+ * @text Click Key
+ * @desc Key that clicks the newest toast. Leave empty to only allow mouse and touch.
+ * @default tab
+ *
+ * @param DismissKey
+ * @type combo
+ * @option tab
+ * @option shift
+ * @option control
+ * @option pageup
+ * @option pagedown
+ * @text Dismiss Key
+ * @desc Key or gamepad button that closes the newest toast outside of menus. Leave empty to disable.
+ * @default pageup
+ *
+ * @param ClearKey
+ * @type combo
+ * @option tab
+ * @option shift
+ * @option control
+ * @option pageup
+ * @option pagedown
+ * @text Clear All Key
+ * @desc Key or gamepad button that closes all open toasts outside of menus. Leave empty to disable.
+ * @default pagedown
+ *
+ * @param PauseOnHover
+ * @type boolean
+ * @text Pause on Hover
+ * @desc Stop the display time of a toast while the mouse is over it.
+ * @default true
+ *
+ * @param ThumbnailSize
+ * @type number
+ * @min 16
+ * @text Thumbnail Size
+ * @desc Size in pixels of the face, character or picture shown to the left of the toast text.
+ * @default 64
+ *
+ * @param Background
+ * @text Background
+ * @desc Default background of the toasts. Toast types and single toasts can override it.
+ *
+ * @param ToastBackground
+ * @parent Background
+ * @type select
+ * @option Window
+ * @value window
+ * @option Dim Bar
+ * @value dim
+ * @option Picture
+ * @value picture
+ * @option None
+ * @value none
+ * @text Background Style
+ * @desc Window frame, dimmed bar, nine-slice picture or no background at all.
+ * @default window
+ *
+ * @param BackgroundPicture
+ * @parent Background
+ * @type file
+ * @dir img/pictures/
+ * @text Background Picture
+ * @desc Picture stretched behind the toast by the Picture style.
+ * @default
+ *
+ * @param PictureBorder
+ * @parent Background
+ * @type number
+ * @min 0
+ * @text Picture Border
+ * @desc Size in pixels of the picture corners and edges that are kept unscaled.
+ * @default 12
+ *
+ * @param BackgroundOpacity
+ * @parent Background
+ * @type number
+ * @min 0
+ * @max 255
+ * @text Background Opacity
+ * @desc Opacity of the window back, dim bar or picture (0-255).
+ * @default 192
+ *
+ * @param ToastPadding
+ * @parent Background
+ * @type number
+ * @min 0
+ * @text Padding
+ * @desc Space in pixels between the toast edge and its text.
+ * @default 12
+ *
+ * @param Accessibility
+ * @text Accessibility
+ * @desc Options for players using screen readers or needing more time to read.
+ *
+ * @param ScreenReader
+ * @parent Accessibility
+ * @type boolean
+ * @text Screen Reader Output
+ * @desc Mirror toasts as plain text into an offscreen ARIA live region read by screen readers.
+ * @default false
+ *
+ * @param ReadingTime
+ * @parent Accessibility
+ * @type number
+ * @min 0
+ * @decimals 1
+ * @text Reading Time
+ * @desc Extra frames the toast stays open per character of text. 0 for a fixed display time.
+ * @default 0
  *
  * @param SoundEffect
  * @type struct<SoundEffect>
@@ -57,9 +325,246 @@
  * @desc Sound effect settings for toast notifications.
  * @default {"enabled":"true","name":"Decision5","volume":"60","pitch":"100","pan":"0"}
  *
+ * @param DefaultType
+ * @type string
+ * @text Default Toast Type
+ * @desc Type used when a toast does not specify one.
+ * @default info
+ *
+ * @param ToastTypes
+ * @type struct<ToastType>[]
+ * @text Toast Types
+ * @desc Toast types with their own icon, color, window and sound. Add entries to declare your own types.
+ * @default ["{\"name\":\"info\",\"iconIndex\":\"0\",\"textColor\":\"0\",\"windowSkin\":\"\",\"tint\":\"\",\"liveMode\":\"polite\",\"sound\":\"{\\\"enabled\\\":\\\"true\\\",\\\"name\\\":\\\"\\\",\\\"volume\\\":\\\"60\\\",\\\"pitch\\\":\\\"100\\\",\\\"pan\\\":\\\"0\\\"}\"}","{\"name\":\"success\",\"iconIndex\":\"0\",\"textColor\":\"24\",\"windowSkin\":\"\",\"tint\":\"-34, 34, -34\",\"liveMode\":\"polite\",\"sound\":\"{\\\"enabled\\\":\\\"true\\\",\\\"name\\\":\\\"Decision5\\\",\\\"volume\\\":\\\"60\\\",\\\"pitch\\\":\\\"120\\\",\\\"pan\\\":\\\"0\\\"}\"}","{\"name\":\"warning\",\"iconIndex\":\"0\",\"textColor\":\"17\",\"windowSkin\":\"\",\"tint\":\"34, 17, -34\",\"liveMode\":\"polite\",\"sound\":\"{\\\"enabled\\\":\\\"true\\\",\\\"name\\\":\\\"Decision5\\\",\\\"volume\\\":\\\"60\\\",\\\"pitch\\\":\\\"80\\\",\\\"pan\\\":\\\"0\\\"}\"}","{\"name\":\"error\",\"iconIndex\":\"0\",\"textColor\":\"18\",\"windowSkin\":\"\",\"tint\":\"68, -34, -34\",\"liveMode\":\"assertive\",\"sound\":\"{\\\"enabled\\\":\\\"true\\\",\\\"name\\\":\\\"Buzzer1\\\",\\\"volume\\\":\\\"60\\\",\\\"pitch\\\":\\\"100\\\",\\\"pan\\\":\\\"0\\\"}\"}","{\"name\":\"achievement\",\"iconIndex\":\"0\",\"textColor\":\"14\",\"windowSkin\":\"\",\"tint\":\"51, 34, -51\",\"liveMode\":\"polite\",\"sound\":\"{\\\"enabled\\\":\\\"true\\\",\\\"name\\\":\\\"Item3\\\",\\\"volume\\\":\\\"60\\\",\\\"pitch\\\":\\\"100\\\",\\\"pan\\\":\\\"0\\\"}\"}"]
+ *
+ * @param Channels
+ * @type struct<ToastChannel>[]
+ * @text Toast Channels
+ * @desc Named channels with their own stack, position, width, limit, display time and sound.
+ * @default ["{\"name\":\"loot\",\"position\":\"bottomLeft\",\"maxWidth\":\"30\",\"maxToasts\":\"5\",\"displayTime\":\"120\",\"sound\":\"{\\\"enabled\\\":\\\"true\\\",\\\"name\\\":\\\"\\\",\\\"volume\\\":\\\"60\\\",\\\"pitch\\\":\\\"100\\\",\\\"pan\\\":\\\"0\\\"}\"}","{\"name\":\"quest\",\"position\":\"top\",\"maxWidth\":\"0\",\"maxToasts\":\"2\",\"displayTime\":\"300\",\"sound\":\"{\\\"enabled\\\":\\\"true\\\",\\\"name\\\":\\\"\\\",\\\"volume\\\":\\\"60\\\",\\\"pitch\\\":\\\"100\\\",\\\"pan\\\":\\\"0\\\"}\"}","{\"name\":\"system\",\"position\":\"topRight\",\"maxWidth\":\"30\",\"maxToasts\":\"3\",\"displayTime\":\"0\",\"sound\":\"{\\\"enabled\\\":\\\"true\\\",\\\"name\\\":\\\"\\\",\\\"volume\\\":\\\"60\\\",\\\"pitch\\\":\\\"100\\\",\\\"pan\\\":\\\"0\\\"}\"}"]
+ *
+ * @param Deferral
+ * @text Deferral Rules
+ * @desc Situations in which queued toasts wait instead of being shown.
+ *
+ * @param DeferDuringMessage
+ * @parent Deferral
+ * @type boolean
+ * @text During Messages
+ * @desc Hold queued toasts while a message, choice list, number input or item selection is open.
+ * @default true
+ *
+ * @param DeferDuringBattle
+ * @parent Deferral
+ * @type boolean
+ * @text During Battle
+ * @desc Hold queued toasts until the battle is over.
+ * @default true
+ *
+ * @param CutsceneSwitch
+ * @parent Deferral
+ * @type switch
+ * @text Cutscene Switch
+ * @desc Hold queued toasts while this switch is ON. 0 to disable.
+ * @default 0
+ *
+ * @param BlockedScenes
+ * @parent Deferral
+ * @type string[]
+ * @text Blocked Scenes
+ * @desc Scene class names on which queued toasts are held, e.g. Scene_Title.
+ * @default ["Scene_Boot","Scene_Title","Scene_Gameover"]
+ *
+ * @param History
+ * @text Toast Log
+ * @desc History of shown toasts that the player can read again.
+ *
+ * @param HistorySize
+ * @parent History
+ * @type number
+ * @min 0
+ * @text History Size
+ * @desc Number of toasts kept in the log. Older entries are removed first. 0 to disable.
+ * @default 100
+ *
+ * @param LogMenuCommand
+ * @parent History
+ * @type boolean
+ * @text Menu Command
+ * @desc Add a command that opens the toast log to the main menu.
+ * @default false
+ *
+ * @param LogMenuText
+ * @parent History
+ * @type string
+ * @text Menu Command Text
+ * @desc Name of the toast log command in the main menu.
+ * @default Notifications
+ *
+ * @param LogAllText
+ * @parent History
+ * @type string
+ * @text All Filter Text
+ * @desc Name of the filter that shows every toast type in the log.
+ * @default All
+ *
+ * @param Popups
+ * @text Character Popups
+ * @desc Short toast-style popups shown above map characters.
+ *
+ * @param PopupDuration
+ * @parent Popups
+ * @type number
+ * @min 1
+ * @text Duration
+ * @desc Frames a popup stays on screen.
+ * @default 90
+ *
+ * @param PopupRise
+ * @parent Popups
+ * @type number
+ * @min 0
+ * @text Rise Distance
+ * @desc Pixels a popup rises while it is shown.
+ * @default 24
+ *
+ * @param PopupFontSize
+ * @parent Popups
+ * @type number
+ * @min 8
+ * @text Font Size
+ * @desc Font size of the popup text.
+ * @default 20
+ *
+ * @param AchievementSettings
+ * @text Achievements
+ * @desc Achievements unlocked by command, switch or variable, announced with a toast.
+ *
+ * @param Achievements
+ * @parent AchievementSettings
+ * @type struct<Achievement>[]
+ * @text Achievement List
+ * @desc The achievements of the game.
+ * @default []
+ *
+ * @param AchievementTemplate
+ * @parent AchievementSettings
+ * @type string
+ * @text Toast Template
+ * @desc Text of the unlock toast. Placeholders: {name} {icon} {description}
+ * @default Achievement unlocked: {icon}{name}
+ *
+ * @param AchievementType
+ * @parent AchievementSettings
+ * @type combo
+ * @option achievement
+ * @option success
+ * @option info
+ * @text Toast Type
+ * @desc Toast type of the unlock toast.
+ * @default achievement
+ *
+ * @param AchievementChannel
+ * @parent AchievementSettings
+ * @type combo
+ * @option loot
+ * @option quest
+ * @option system
+ * @text Toast Channel
+ * @desc Channel of the unlock toast. Leave empty for the default channel.
+ * @default
+ *
+ * @param GlobalAchievements
+ * @parent AchievementSettings
+ * @type boolean
+ * @text Share Across Saves
+ * @desc Also store unlocks in the config file, so they count for every save file.
+ * @default false
+ *
+ * @param HiddenAchievementText
+ * @parent AchievementSettings
+ * @type string
+ * @text Hidden Text
+ * @desc Name and description shown for hidden achievements that are still locked.
+ * @default ???
+ *
+ * @param AchievementMenuCommand
+ * @parent AchievementSettings
+ * @type boolean
+ * @text Menu Command
+ * @desc Add a command that opens the achievement list to the main menu.
+ * @default false
+ *
+ * @param AchievementMenuText
+ * @parent AchievementSettings
+ * @type string
+ * @text Menu Command Text
+ * @desc Name of the achievements command in the main menu.
+ * @default Achievements
+ *
+ *
+ * @param AutoToasts
+ * @text Automatic Toasts
+ * @desc Toasts raised automatically by gameplay events. See help for the placeholders.
+ *
+ * @param AutoItemGain
+ * @parent AutoToasts
+ * @type struct<AutoToast>
+ * @text Item Gain
+ * @desc Toast when the party gains items, weapons or armors.
+ * @default {"enabled":"false","template":"Obtained {icon}{name} ×{amount}","type":"success","suppressSwitch":"0"}
+ *
+ * @param AutoItemLoss
+ * @parent AutoToasts
+ * @type struct<AutoToast>
+ * @text Item Loss
+ * @desc Toast when the party loses items, weapons or armors.
+ * @default {"enabled":"false","template":"Lost {icon}{name} ×{amount}","type":"info","suppressSwitch":"0"}
+ *
+ * @param AutoGoldGain
+ * @parent AutoToasts
+ * @type struct<AutoToast>
+ * @text Gold Gain
+ * @desc Toast when the party gains gold.
+ * @default {"enabled":"false","template":"Obtained {amount} {currency}","type":"success","suppressSwitch":"0"}
+ *
+ * @param AutoGoldLoss
+ * @parent AutoToasts
+ * @type struct<AutoToast>
+ * @text Gold Loss
+ * @desc Toast when the party loses gold.
+ * @default {"enabled":"false","template":"Lost {amount} {currency}","type":"info","suppressSwitch":"0"}
+ *
+ * @param AutoExp
+ * @parent AutoToasts
+ * @type struct<AutoToast>
+ * @text EXP Gain
+ * @desc Toast when an actor gains EXP.
+ * @default {"enabled":"false","template":"{actor} gained {amount} EXP","type":"info","suppressSwitch":"0"}
+ *
+ * @param AutoLevelUp
+ * @parent AutoToasts
+ * @type struct<AutoToast>
+ * @text Level Up
+ * @desc Toast when an actor levels up.
+ * @default {"enabled":"false","template":"{actor} reached level {level}!","type":"success","suppressSwitch":"0"}
+ *
+ * @param AutoSkill
+ * @parent AutoToasts
+ * @type struct<AutoToast>
+ * @text Skill Learned
+ * @desc Toast when an actor learns a new skill.
+ * @default {"enabled":"false","template":"{actor} learned {icon}{name}!","type":"success","suppressSwitch":"0"}
+ *
+ * @param AutoState
+ * @parent AutoToasts
+ * @type struct<AutoToast>
+ * @text State Added
+ * @desc Toast when a state is added to an actor.
+ * @default {"enabled":"false","template":"{actor} is now {icon}{name}","type":"warning","suppressSwitch":"0"}
  *
  * @help
- * Reishandy_Toast.js - Version 1.0.2
+ * Reishandy_Toast.js - Version 1.25.0
  * ============================================================================
  *
  * Description:
@@ -69,27 +574,490 @@
  *
  * Features:
  * - Configurable toast width and display duration
- * - Automatic word wrapping for long messages
- * - Smooth slide and fade animations
+ * - Line breaking for English and Japanese/Chinese text that keeps escape
+ *   codes intact and ends with "..." at Maximum Lines
+ * - Enter and exit animations with easing, extendable by other plugins
+ * - Smooth reflow of the stack when toasts come and go
  * - Stack management for multiple toasts
+ * - Toasts stay on screen across scene changes (map, menu, battle, transfer)
+ * - Frame based queue that pauses with the game and can be saved
+ * - Optional automatic toasts for items, gold, EXP, level ups, skills and
+ *   states
+ * - Toasts with an ID can be updated in place, show a progress bar, stay
+ *   open and be dismissed later
+ * - Identical toasts are merged into one with a ×N counter
+ * - Nine screen anchors with margins, stack direction and per toast position
+ * - Layout within the UI area that follows resolution changes at runtime
+ * - Toast types (info, success, warning, error or your own) with their own
+ *   icon, text color, window skin, tint, background and sound
+ * - Window, dim bar, nine-slice picture or no background, with padding and
+ *   opacity per type or per toast
+ * - Actor faces, character sprites or pictures shown next to the text
+ * - Named channels with their own stack, position, width, limit, display
+ *   time and sound
+ * - Toast log saved with the game, with filtering by type
+ * - Clickable toasts that run a common event, turn on a switch or call a
+ *   script, and can close when clicked
+ * - Toasts pause while hovered with the mouse, and can be closed with a
+ *   key or gamepad button. Sticky toasts wait until the player closes them
+ * - Popups that rise and fade above the player or an event on the map
+ * - Event toasts declared with note tags or comments, shown when the
+ *   player comes near, steps on or faces the event
+ * - Achievements unlocked by command, switch or variable, saved per save
+ *   file and optionally across all saves
+ * - Scheduled and repeating toasts that are saved with the game
+ * - Screen reader output through an ARIA live region and display times
+ *   that grow with the text length
  * - Can be called from events or other plugins
  *
+ * Toast Types:
+ * ------------
+ * Every toast has a type. The built-in types info, success, warning, error
+ * and achievement are declared in the Toast Types parameter and can be
+ * edited there.
+ * Add more entries to declare your own types, e.g. "loot" or "quest".
+ * Each type can set:
+ *    - Icon Index: Icon drawn before the text (0 for none)
+ *    - Text Color: Base text color index, \c[n] still works inside the text
+ *    - Window Skin: Window skin from img/system (empty for the default)
+ *    - Tint: Window tone as "red, green, blue" (empty for the system tone)
+ *    - Background, Picture, Opacity and Padding: See Backgrounds below
+ *    - Screen Reader Mode: Polite or assertive, see Accessibility below
+ *    - Sound: Sound effect played when the toast appears. Leave the file
+ *      empty to use the global Sound Effect parameter.
+ * Type names are not case sensitive. Unknown types fall back to the
+ * Default Toast Type.
+ *
+ * Thumbnails:
+ * -----------
+ * ShowToast can show an image to the left of the text, e.g. for party
+ * chatter or "Companion joined" messages:
+ *    - Actor: The face or map character of an actor, as of when the toast
+ *      is shown
+ *    - Face: A face from img/faces with its index
+ *    - Picture: A picture from img/pictures
+ * The first one set is used. Faces and pictures are scaled to fit Thumbnail
+ * Size, and the text wraps in the space next to the image. Script calls
+ * take the options actorId, actorImage ("face" or "character"), faceName,
+ * faceIndex, characterName, characterIndex and pictureName.
+ *
+ * Backgrounds:
+ * ------------
+ * The Background parameters set how toasts are backed:
+ *    - Window: The usual window frame, with the window skin of the type
+ *    - Dim Bar: A flat semi-transparent bar, like the rows of item lists
+ *    - Picture: A picture from img/pictures, scaled with nine-slice so the
+ *      Picture Border corners and edges keep their size
+ *    - None: Only the text, which keeps its outline
+ * Background Opacity applies to the window back, the bar or the picture,
+ * and Padding is the space around the text. Toast types can override all
+ * of them, and single toasts can pass background, picture, windowSkin,
+ * backgroundOpacity and padding options in a script call.
+ *
+ * Accessibility:
+ * --------------
+ * With Screen Reader Output on, every toast is also written as plain text
+ * into an invisible part of the web page marked as an ARIA live region, so
+ * screen readers read it out. Escape codes are removed, and \v[n], \n[n],
+ * \p[n] and \g are replaced with their values. Toasts of polite types are
+ * read once the screen reader is idle, assertive ones interrupt it. The
+ * error type is assertive by default.
+ * Reading Time adds frames to the display time for every character, so
+ * long toasts stay open longer, e.g. 4 keeps a 50 character toast open
+ * 200 frames longer.
+ *
+ * Toast Channels:
+ * ---------------
+ * Channels keep different kinds of toasts apart, e.g. loot in the bottom
+ * left corner and quest notices at the top. Each channel declared in the
+ * Toast Channels parameter has its own:
+ *    - Position: Screen anchor, Default uses the Toast Position parameter
+ *    - Maximum Width: Width in percent of the UI area, 0 for Maximum Width
+ *    - Maximum Toasts: Open toast limit, 0 for Maximum Toasts
+ *    - Display Time: Frames the toasts stay open, 0 for Display Time
+ *    - Sound: Sound effect for all toasts of the channel. Leave the file
+ *      empty to use the sound of the toast type.
+ * Toasts without a channel, or with an unknown one, use the default
+ * channel made of the main parameters. Every channel has its own queue
+ * spacing and eviction, so a busy loot channel never holds back quest
+ * toasts. Identical toasts are only merged within the same channel.
+ *
+ * Event Toasts:
+ * -------------
+ * Map events can show a toast without any event commands. Put these tags in
+ * the event's note or in a comment on the current page (comments override
+ * the note, so each page can have its own toast):
+ *    <toast: text>             Text of the toast, escape codes allowed
+ *    <toastRange: n>           Show when the player is n tiles or closer
+ *    <toastTrigger: type>      range, touch (player on the event's tile)
+ *                              or face (player next to and facing it)
+ *    <toastType: name>         Toast type, e.g. warning
+ *    <toastChannel: name>      Toast channel, e.g. system
+ *    <toastRepeat>             Show every time, not only the first time
+ *    <toastCooldown: n>        Frames before a repeated toast can show again
+ *    <toastSelfSwitch: A>      Turn this self switch ON when shown
+ * Without <toastTrigger>, the trigger is range when <toastRange> is set
+ * and face otherwise. A toast is shown when the player enters the trigger
+ * area, not again while staying in it. Erased events and events without
+ * an active page show no toast. Toasts without <toastRepeat> are shown once
+ * per event page and save file. With <toastSelfSwitch> the self switch
+ * records that, so turning it OFF again shows the toast once more. Example:
+ *    <toast: Press OK to search>
+ *    <toastRange: 2>
+ *
+ * Scheduled Toasts:
+ * -----------------
+ * ScheduleToast shows a toast after a delay, and can repeat it at an
+ * interval, e.g. a reminder to save every 5 minutes. Schedules count game
+ * frames on the map, in battle and, unless Pause in Menus is on, in menu
+ * scenes. They are stored in the save file, so they continue after loading.
+ *
+ * Line Breaking:
+ * --------------
+ * Toast text is broken into lines that fit the toast width. English text
+ * breaks at spaces and words that are too long are split. Japanese and
+ * Chinese text breaks between characters, but punctuation such as 。 or 」
+ * never starts a line and 「 never ends one. Text after Maximum Lines is
+ * cut off with "...". Use \n in a script call to start a new line. Escape
+ * codes like \c[n], \i[n] and \{ keep working across line breaks.
+ *
+ * Screen Layout:
+ * --------------
+ * Toasts are placed within the UI area (UI Area Width and Height in the
+ * database System 2 tab), centered on the screen, with Horizontal and
+ * Vertical Margin kept free along its edges. Toast Width (%) is a share of
+ * the UI area width, limited by Minimum and Maximum Width in pixels. When
+ * the resolution or the UI area changes while the game runs, e.g. from an
+ * options screen, open toasts are wrapped and placed again right away.
+ *
+ * Toast Queue:
+ * ------------
+ * Toasts are shown one at a time, Queue Spacing frames apart. The queue is
+ * driven by the game's frame updates, so it pauses together with the game
+ * (window focus loss, scene changes). Holding OK to fast-forward an event
+ * on the map also runs the queue and scheduled toasts twice as fast. With
+ * Save Pending Toasts enabled, toasts still waiting in the queue are
+ * written to the save file and shown again after loading.
+ *
+ * Toast windows are kept in a pool and reused for later toasts, together
+ * with their bitmaps, so long play sessions with many toasts do not keep
+ * allocating new windows. Starting a new game or loading a save clears all
+ * open and queued toasts of the previous game.
+ *
+ * Toast Position:
+ * ---------------
+ * Toasts can be anchored to any of the nine screen positions (top left to
+ * bottom right) with the Toast Position parameter, kept away from the screen
+ * edges with the margin parameters, and given a different position for a
+ * single toast through the ShowToast command or the options object. Toasts
+ * at the same anchor form a stack. The newest toast sits at the anchor and
+ * older ones are pushed up or down depending on Stack Direction.
+ *
+ * Animations:
+ * -----------
+ * Enter and exit animations are set with the Enter/Exit Animation,
+ * Easing and Duration parameters. Built-in animations:
+ *    - fade: Fade in and out
+ *    - slideLeft, slideRight, slideTop, slideBottom: Slide in from that side
+ *    - pop: Scale up from the center
+ *    - bounce: Drop in from above and bounce
+ * Built-in easing curves: linear, easeOutCubic, easeOutBack. A leaving toast
+ * plays its animation backwards, and the toasts behind it slide into the
+ * freed space at the Slide Speed.
+ *
+ * Other plugins can register their own animations and easing curves:
+ * Window_Toast.registerAnimation("spin", (progress, window) => ({
+ *     alpha: progress,
+ *     x: (1 - progress) * 40
+ * }));
+ * Window_Toast.registerEasing("easeInQuad", (t) => t * t);
+ * An animation gets the eased progress (0 hidden, 1 shown) and the toast
+ * window, and returns x and y offsets, alpha (0-1) and scale. Registered
+ * names can then be typed into the animation parameters.
+ *
+ * Deferral:
+ * ---------
+ * Queued toasts are held back while the game is busy with something the
+ * player should not miss, and are shown once it is over:
+ *    - During Messages: A message, choice list, number input or item
+ *      selection is open
+ *    - During Battle: A battle is running
+ *    - Cutscene Switch: The switch is ON, turn it on at the start of a
+ *      cutscene event and off at the end
+ *    - Blocked Scenes: The current scene is in the list (by class name, so
+ *      scenes added by other plugins can be listed too)
+ * Toasts that are already open stay on screen. New toasts keep queueing up
+ * and duplicates are still merged while the queue is held.
+ *
+ * Priority:
+ * ---------
+ * Every toast has a priority (default 0, higher is more important). Queued
+ * toasts are shown highest priority first, and in order of arrival within
+ * the same priority. When Maximum Toasts are already open, the Eviction
+ * Policy decides what happens to the next toast:
+ *    - Drop Oldest: The oldest open toast is closed to make room.
+ *    - Drop Lowest Priority: The open toast with the lowest priority (the
+ *      oldest one among equals) is closed, unless all open toasts have a
+ *      higher priority than the new one. Then the new toast waits.
+ *    - Hold New Toasts: The new toast waits until a slot frees up. Only a
+ *      toast with a higher priority than an open one closes that one early.
+ * Toasts kept open (Keep Open) and sticky toasts are never closed to make
+ * room. When only those are open, the new toast waits.
+ *
+ * Duplicate Toasts:
+ * -----------------
+ * When a toast with the same text and type as an open or queued toast is
+ * shown within Merge Window frames of it, the two are merged. The toast shows
+ * a ×N counter, its display timer starts over and no extra sound is played.
+ * Toasts with an ID are never merged. Set Merge Window to 0 to turn this off.
+ *
+ * Clickable Toasts:
+ * -----------------
+ * A toast can be given an action. Clicking or tapping the toast, or pressing
+ * the Click Key while it is the newest open toast, then:
+ *    - Reserves a common event, which runs like one called from an event
+ *    - Turns a switch ON
+ *    - Calls the onClick function passed to $gameSystem.showToast
+ * With Dismiss on Click the toast also closes when clicked, which works
+ * for toasts without an action as well. Clicking a toast does not also
+ * move the player or select the menu item or advance the message under
+ * it. onClick functions are not written to save files.
+ *
+ * Closing Toasts:
+ * ---------------
+ * Players who need more time to read have several ways to keep up:
+ *    - Pause on Hover: A toast's display time stops while the mouse is
+ *      over it. Touch screens have no hover, so taps never pause toasts.
+ *    - Dismiss Key: Closes the newest toast
+ *    - Clear All Key: Closes all open toasts, queued ones still follow
+ *    - Sticky toasts: Stay open until the player closes them with one of
+ *      the keys or by clicking them, e.g. for tutorial hints
+ * pageup and pagedown are also the LB and RB buttons of a gamepad. The
+ * keys do nothing in menu scenes, where they switch between actors. Toasts
+ * that are kept open with Keep Open (persistent) can only be closed by
+ * DismissToast or a script, not by the player.
+ *
+ * Toast Log:
+ * ----------
+ * Every toast that is shown is written to a log kept in the save file,
+ * together with its type, the play time and the map name. The log holds up
+ * to History Size entries. The OpenToastLog command, or the optional main
+ * menu command, opens a scene that lists the log newest first. Pick a type
+ * at the top to filter the list and confirm to scroll through it.
+ *
+ * Character Popups:
+ * -----------------
+ * Popups are small toasts shown above a character on the map, e.g. "+5 Gold"
+ * over a chest or "!" over an NPC. They follow the character while the map
+ * scrolls, rise by Rise Distance pixels and fade out after Duration frames.
+ * Popups use the window skin, tint, icon and text color of their toast type
+ * and play no sound. They are not queued or logged, and are removed when
+ * the map scene ends.
+ *
+ * Achievements:
+ * -------------
+ * Declare achievements in the Achievement List parameter. Each one has an
+ * ID, name, description, icon and hidden flag. An achievement is unlocked:
+ *    - With the UnlockAchievement command or
+ *      $gameSystem.unlockAchievement("id")
+ *    - By itself when its switch turns ON, or its variable reaches the
+ *      threshold. With both set, both conditions have to be met.
+ * Unlocking shows a toast made from the Toast Template, using the
+ * achievement toast type by default. Unlocks are stored in the save file.
+ * With Share Across Saves they are also stored in the config file, so an
+ * achievement unlocked in one save counts as unlocked in all of them.
+ *
+ * The achievement list is opened with the OpenAchievements command or the
+ * optional main menu command. Locked achievements are drawn faded, and
+ * hidden ones show the Hidden Text until they are unlocked.
+ *
+ * Automatic Toasts:
+ * -----------------
+ * The Automatic Toasts parameters raise toasts by themselves when the party
+ * gains or loses items or gold, or when an actor gains EXP, levels up, learns
+ * a skill or gets a state. Each one is disabled by default and has its own
+ * text template, toast type and suppress switch. While the suppress switch
+ * is ON, that kind of toast is not shown, which is handy for cutscenes.
+ *
+ * Template placeholders:
+ *    - {name}: Item, skill or state name
+ *    - {icon}: Icon of the item, skill or state
+ *    - {amount}: Number of items, gold or EXP
+ *    - {actor}: Actor name
+ *    - {level}: Actor level
+ *    - {currency}: Currency unit from the database
+ *
+ * Equipment changes, item use, class changes and actor setup do not raise
+ * automatic toasts.
+ *
  * Plugin Commands:
  * ---------------
  * 1. ShowToast
  *    - Shows a toast notification with specified text
  *    Parameters:
  *    - Text: The message to display
+ *    - Type: The toast type (info, success, warning, error or custom)
+ *    - ID: Optional ID used to update or dismiss the toast later. Showing a
+ *      toast with the ID of a toast that is still open updates that toast.
+ *    - Progress: Progress bar value (0-100), -1 for no progress bar
+ *    - Keep Open: Keep the toast open until it is dismissed
+ *    - Sticky: Keep the toast open until the player closes it by clicking
+ *      it or with the Dismiss or Clear All Key
+ *    - Channel: Channel name, empty for the default channel
+ *    - Position: Screen anchor for this toast, Default uses the parameter
+ *    - Priority: Higher priority toasts are shown first and can close lower
+ *      priority ones when the stack is full
+ *    - Common Event: Common event reserved when the toast is clicked
+ *    - Switch: Switch turned ON when the toast is clicked
+ *    - Dismiss on Click: Close the toast when it is clicked
+ *    - Background Style: Window, Dim Bar, Picture or None, Default uses
+ *      the toast type
+ *    - Actor: Actor whose face or character is shown next to the text
+ *    - Actor Image: Show the actor's face or map character
+ *    - Face, Face Index: Face shown next to the text when no actor is set
+ *    - Picture: Picture shown next to the text when no actor or face is set
+ *
+ * 2. UpdateToast
+ *    - Changes an open or queued toast in place
+ *    Parameters:
+ *    - ID: The toast ID
+ *    - Text: New text, leave empty to keep the current text
+ *    - Progress: New progress bar value (0-100), -1 to keep the current one
+ *
+ * 3. DismissToast
+ *    - Closes an open toast or removes a queued one
+ *    Parameters:
+ *    - ID: The toast ID
+ *
+ * 4. ScheduleToast
+ *    - Shows a toast after a delay, and optionally repeats it
+ *    Parameters:
+ *    - ID: Schedule ID, used to cancel it. Scheduling with the ID of an
+ *      existing schedule replaces it.
+ *    - Text, Type, Channel: Like ShowToast
+ *    - Delay: Time until the first toast
+ *    - Interval: Time between repeats, 0 to show the toast only once
+ *    - Repeat Count: Number of repeats after the first toast, -1 for no end
+ *    - Unit: Whether Delay and Interval are in frames or seconds
+ *    - Pause in Menus: Stop counting while a menu scene is open
+ *
+ * 5. CancelScheduledToast
+ *    - Cancels a scheduled toast
+ *    Parameters:
+ *    - ID: The schedule ID
+ *
+ * 6. WaitForToasts
+ *    - Makes the event wait until the queue is empty and every open toast
+ *      has closed. Toasts kept open with Keep Open are not waited for.
+ *    - While an event waits, the Deferral Rules are lifted (except for
+ *      Blocked Scenes), so queued toasts are shown during battle or with
+ *      the Cutscene Switch ON instead of making the event wait forever.
+ *
+ * 7. OpenToastLog
+ *    - Opens the toast log scene
+ *
+ * 8. ShowPopup
+ *    - Shows a popup above a map character
+ *    Parameters:
+ *    - Text: The message to display
+ *    - Character: -1 for the player, 0 for this event, or an event ID
+ *    - Type: The toast type
+ *
+ * 9. UnlockAchievement
+ *    - Unlocks an achievement and shows its toast
+ *    Parameters:
+ *    - ID: The achievement ID
+ *
+ * 10. OpenAchievements
+ *    - Opens the achievement list
  *
  * For Other Plugins:
  * -----------------
  * To show a toast from another plugin, use:
  * PluginManager.callCommand(this, "Reishandy_Toast", "ShowToast", {
- *     text: "Your message here"
+ *     text: "Your message here",
+ *     type: "success"
  * });
  *
  * Or use the global function:
  * $gameSystem.showToast("Your message here");
+ * $gameSystem.showToast("Something went wrong", { type: "error" });
+ *
+ * Options object for $gameSystem.showToast:
+ *    - type: Toast type name (default is the Default Toast Type)
+ *    - id: ID used to update or dismiss the toast later
+ *    - channel: Channel name (default is the default channel)
+ *    - progress: Progress bar value (0-100), null for no progress bar
+ *    - persistent: true to keep the toast open until it is dismissed
+ *    - sticky: true to keep the toast open until the player closes it
+ *    - position: Screen anchor (topLeft, top, topRight, left, center,
+ *      right, bottomLeft, bottom or bottomRight)
+ *    - enterAnimation / exitAnimation: Animation names for this toast
+ *    - priority: Toast priority, higher is more important (default 0)
+ *    - commonEventId: Common event reserved when the toast is clicked
+ *    - switchId: Switch turned ON when the toast is clicked
+ *    - onClick: Function called with the toast when it is clicked
+ *    - dismissOnClick: true to close the toast when it is clicked
+ *    - background: Background style (window, dim, picture or none)
+ *    - picture: Picture from img/pictures for the picture background
+ *    - windowSkin: Window skin from img/system for the window background
+ *    - backgroundOpacity: Background opacity (0-255)
+ *    - padding: Space in pixels between the toast edge and its text
+ *    - actorId: Actor whose face or character is shown next to the text
+ *    - actorImage: "face" (default) or "character" for the actor image
+ *    - faceName / faceIndex: Face from img/faces and its index (0-7)
+ *    - characterName / characterIndex: Character from img/characters and
+ *      its index (0-7)
+ *    - pictureName: Picture from img/pictures
+ *
+ * A clickable toast:
+ * $gameSystem.showToast("New quest - click to view", {
+ *     commonEventId: 5,
+ *     dismissOnClick: true
+ * });
+ *
+ * Toasts with an ID can be changed or closed later:
+ * $gameSystem.showToast("Crafting...", { id: "craft", progress: 0,
+ *     persistent: true });
+ * $gameSystem.updateToast("craft", { text: "Crafting... 50%", progress: 50 });
+ * $gameSystem.dismissToast("craft");
+ *
+ * updateToast accepts text, type, progress, persistent and sticky. Both functions
+ * return false when no open or queued toast has that ID.
+ *
+ * Scheduled toasts take the toast options plus delay, interval (both in
+ * frames), repeat and pauseInMenus. onClick functions are not saved.
+ * $gameSystem.scheduleToast("saveReminder", "Remember to save!", {
+ *     delay: 18000,
+ *     interval: 18000,
+ *     repeat: -1
+ * });
+ * $gameSystem.cancelScheduledToast("saveReminder");
+ *
+ * showToast returns a handle for the toast with:
+ *    - promise: Resolves once the toast is gone, with the reason:
+ *      "timeout", "click", "evicted" or "dismissed"
+ *    - update(options): Same as updateToast for this toast
+ *    - dismiss(): Closes the toast
+ * When the toast is merged into an identical one, or updates a toast with
+ * the same ID, the handle of that toast is returned.
+ * const hint = $gameSystem.showToast("Press Shift to dash");
+ * hint.promise.then((reason) => console.log(reason));
+ *
+ * The toast log can be read with $gameSystem.toastHistory() and opened with
+ * SceneManager.push(Scene_ToastLog).
+ *
+ * Popups above characters:
+ * $gameSystem.showPopup("+5 Gold", this.character(0), { type: "success" });
+ * $gameSystem.showPopup("!", 3);
+ * The character can be a Game_Character or a number, -1 for the player and
+ * an event ID otherwise. Use this.character(0) for "this event" in a script
+ * command.
+ *
+ * Achievements:
+ * $gameSystem.unlockAchievement("firstBoss");
+ * $gameSystem.isAchievementUnlocked("firstBoss");
+ * SceneManager.push(Scene_Achievements);
  *
  * Terms of Use:
  * Free for both commercial and non-commercial projects.
@@ -104,256 +1072,3506 @@
  * @type string
  * @text Message
  * @desc The text to show in the toast notification.
- */
-
-/*~struct~SoundEffect:
- * @param enabled
+ *
+ * @arg type
+ * @type combo
+ * @option info
+ * @option success
+ * @option warning
+ * @option error
+ * @text Type
+ * @desc The toast type. Custom types declared in the plugin parameters can be typed in.
+ * @default info
+ *
+ * @arg id
+ * @type string
+ * @text ID
+ * @desc Optional ID used to update or dismiss this toast later.
+ * @default
+ *
+ * @arg channel
+ * @type combo
+ * @option loot
+ * @option quest
+ * @option system
+ * @text Channel
+ * @desc Channel to show the toast in. Leave empty for the default channel.
+ * @default
+ *
+ * @arg progress
+ * @type number
+ * @min -1
+ * @max 100
+ * @text Progress
+ * @desc Progress bar value (0-100). -1 for no progress bar.
+ * @default -1
+ *
+ * @arg persistent
  * @type boolean
- * @text Enable Sound
- * @desc Play a sound effect when toast appears?
- * @default true
+ * @text Keep Open
+ * @desc Keep the toast open until it is dismissed by ID.
+ * @default false
  *
- * @param name
+ * @arg sticky
+ * @type boolean
+ * @text Sticky
+ * @desc Keep the toast open until the player closes it by clicking it or with the Dismiss or Clear All Key.
+ * @default false
+ *
+ * @arg position
+ * @type select
+ * @option Default
+ * @value
+ * @option Top Left
+ * @value topLeft
+ * @option Top Center
+ * @value top
+ * @option Top Right
+ * @value topRight
+ * @option Middle Left
+ * @value left
+ * @option Center
+ * @value center
+ * @option Middle Right
+ * @value right
+ * @option Bottom Left
+ * @value bottomLeft
+ * @option Bottom Center
+ * @value bottom
+ * @option Bottom Right
+ * @value bottomRight
+ * @text Position
+ * @desc Screen anchor for this toast. Default uses the Toast Position parameter.
+ * @default
+ *
+ * @arg priority
+ * @type number
+ * @min -999
+ * @max 999
+ * @text Priority
+ * @desc Higher priority toasts are shown first and can close lower priority ones.
+ * @default 0
+ *
+ * @arg commonEventId
+ * @type common_event
+ * @text Common Event
+ * @desc Common event to run when the toast is clicked. None for no event.
+ * @default 0
+ *
+ * @arg switchId
+ * @type switch
+ * @text Switch
+ * @desc Switch turned ON when the toast is clicked. None for no switch.
+ * @default 0
+ *
+ * @arg dismissOnClick
+ * @type boolean
+ * @text Dismiss on Click
+ * @desc Close the toast when it is clicked.
+ * @default false
+ *
+ * @arg background
+ * @type select
+ * @option Default
+ * @value
+ * @option Window
+ * @value window
+ * @option Dim Bar
+ * @value dim
+ * @option Picture
+ * @value picture
+ * @option None
+ * @value none
+ * @text Background Style
+ * @desc Background of this toast. Default uses the toast type.
+ * @default
+ *
+ * @arg actorId
+ * @type actor
+ * @text Actor
+ * @desc Actor whose face or character is shown next to the text. None for no actor.
+ * @default 0
+ *
+ * @arg actorImage
+ * @parent actorId
+ * @type select
+ * @option Face
+ * @value face
+ * @option Character
+ * @value character
+ * @text Actor Image
+ * @desc Show the face or the map character of the actor.
+ * @default face
+ *
+ * @arg faceName
  * @type file
- * @dir audio/se/
- * @text Sound Effect
- * @desc Sound effect to play when toast appears. Leave empty to disable.
- * @default Decision5
+ * @dir img/faces/
+ * @text Face
+ * @desc Face image shown next to the text when no actor is chosen.
+ * @default
  *
- * @param volume
+ * @arg faceIndex
+ * @parent faceName
  * @type number
  * @min 0
- * @max 100
- * @text Volume
- * @desc Volume of the sound effect (0-100)
- * @default 60
+ * @max 7
+ * @text Face Index
+ * @desc Index of the face in the face image (0-7).
+ * @default 0
  *
- * @param pitch
- * @type number
- * @min 50
- * @max 150
- * @text Pitch
- * @desc Pitch of the sound effect (50-150)
- * @default 100
+ * @arg pictureName
+ * @type file
+ * @dir img/pictures/
+ * @text Picture
+ * @desc Picture shown next to the text when no actor or face is chosen.
+ * @default
  *
- * @param pan
+ * @command UpdateToast
+ * @text Update Toast
+ * @desc Changes the text or progress of an open or queued toast.
+ *
+ * @arg id
+ * @type string
+ * @text ID
+ * @desc The ID of the toast to update.
+ *
+ * @arg text
+ * @type string
+ * @text Message
+ * @desc New text. Leave empty to keep the current text.
+ * @default
+ *
+ * @arg progress
  * @type number
- * @min -100
+ * @min -1
  * @max 100
- * @text Pan
- * @desc Pan of the sound effect (-100 to 100)
- * @default 0
- */
-
-(() => {
-    "use strict";
-
+ * @text Progress
+ * @desc New progress bar value (0-100). -1 to keep the current value.
+ * @default -1
+ *
+ * @command DismissToast
+ * @text Dismiss Toast
+ * @desc Closes an open toast or removes a queued one.
+ *
+ * @arg id
+ * @type string
+ * @text ID
+ * @desc The ID of the toast to dismiss.
+ *
+ * @command ScheduleToast
+ * @text Schedule Toast
+ * @desc Shows a toast after a delay, optionally repeating it.
+ *
+ * @arg id
+ * @type string
+ * @text ID
+ * @desc ID used to cancel the schedule. An existing schedule with this ID is replaced.
+ *
+ * @arg text
+ * @type string
+ * @text Message
+ * @desc The text to show in the toast notification.
+ *
+ * @arg type
+ * @type combo
+ * @option info
+ * @option success
+ * @option warning
+ * @option error
+ * @text Type
+ * @desc The toast type. Custom types from the Toast Types parameter can be typed in.
+ * @default info
+ *
+ * @arg channel
+ * @type combo
+ * @option loot
+ * @option quest
+ * @option system
+ * @text Channel
+ * @desc Channel to show the toast in. Leave empty for the default channel.
+ * @default
+ *
+ * @arg delay
+ * @type number
+ * @min 0
+ * @text Delay
+ * @desc Time until the first toast.
+ * @default 10
+ *
+ * @arg interval
+ * @type number
+ * @min 0
+ * @text Interval
+ * @desc Time between repeats. 0 to show the toast only once.
+ * @default 0
+ *
+ * @arg repeat
+ * @type number
+ * @min -1
+ * @text Repeat Count
+ * @desc Number of repeats after the first toast. -1 to repeat until cancelled.
+ * @default 0
+ *
+ * @arg unit
+ * @type select
+ * @option Seconds
+ * @value seconds
+ * @option Frames
+ * @value frames
+ * @text Unit
+ * @desc Unit of Delay and Interval.
+ * @default seconds
+ *
+ * @arg pauseInMenus
+ * @type boolean
+ * @text Pause in Menus
+ * @desc Stop counting down while a menu scene is open.
+ * @default true
+ *
+ * @command CancelScheduledToast
+ * @text Cancel Scheduled Toast
+ * @desc Cancels a scheduled toast.
+ *
+ * @arg id
+ * @type string
+ * @text ID
+ * @desc The ID of the schedule to cancel.
+ *
+ * @command WaitForToasts
+ * @text Wait for Toasts
+ * @desc Waits until all queued and open toasts are gone, showing deferred toasts right away. Toasts kept open are ignored.
+ *
+ * @command OpenToastLog
+ * @text Open Toast Log
+ * @desc Opens the scene listing previously shown toasts.
+ *
+ * @command ShowPopup
+ * @text Show Popup
+ * @desc Shows a short popup above a character on the map.
+ *
+ * @arg text
+ * @type string
+ * @text Message
+ * @desc The text to show above the character.
+ *
+ * @arg character
+ * @type number
+ * @min -1
+ * @text Character
+ * @desc -1 for the player, 0 for this event, or the ID of an event.
+ * @default 0
+ *
+ * @arg type
+ * @type combo
+ * @option info
+ * @option success
+ * @option warning
+ * @option error
+ * @text Type
+ * @desc The toast type used for the popup.
+ * @default info
+ *
+ * @command UnlockAchievement
+ * @text Unlock Achievement
+ * @desc Unlocks an achievement and shows its toast.
+ *
+ * @arg id
+ * @type string
+ * @text ID
+ * @desc The ID of the achievement.
+ *
+ * @command OpenAchievements
+ * @text Open Achievements
+ * @desc Opens the scene listing all achievements.
+ */
+
+/*~struct~SoundEffect:
+ * @param enabled
+ * @type boolean
+ * @text Enable Sound
+ * @desc Play a sound effect when toast appears?
+ * @default true
+ *
+ * @param name
+ * @type file
+ * @dir audio/se/
+ * @text Sound Effect
+ * @desc Sound effect to play when toast appears. Leave empty to disable.
+ * @default Decision5
+ *
+ * @param volume
+ * @type number
+ * @min 0
+ * @max 100
+ * @text Volume
+ * @desc Volume of the sound effect (0-100)
+ * @default 60
+ *
+ * @param pitch
+ * @type number
+ * @min 50
+ * @max 150
+ * @text Pitch
+ * @desc Pitch of the sound effect (50-150)
+ * @default 100
+ *
+ * @param pan
+ * @type number
+ * @min -100
+ * @max 100
+ * @text Pan
+ * @desc Pan of the sound effect (-100 to 100)
+ * @default 0
+ */
+
+/*~struct~ToastType:
+ * @param name
+ * @type string
+ * @text Type Name
+ * @desc Name used to pick this type, e.g. info, error or loot.
+ * @default custom
+ *
+ * @param iconIndex
+ * @type icon
+ * @text Icon
+ * @desc Icon drawn before the toast text. 0 for no icon.
+ * @default 0
+ *
+ * @param textColor
+ * @type color
+ * @text Text Color
+ * @desc Base text color index of the toast text.
+ * @default 0
+ *
+ * @param windowSkin
+ * @type file
+ * @dir img/system/
+ * @text Window Skin
+ * @desc Window skin used by this type. Leave empty for the default window skin.
+ * @default
+ *
+ * @param tint
+ * @type string
+ * @text Background Tint
+ * @desc Window tone as "red, green, blue" (-255 to 255). Leave empty for the system window tone.
+ * @default
+ *
+ * @param background
+ * @type select
+ * @option Default
+ * @value
+ * @option Window
+ * @value window
+ * @option Dim Bar
+ * @value dim
+ * @option Picture
+ * @value picture
+ * @option None
+ * @value none
+ * @text Background Style
+ * @desc Background of this type. Default uses the Background Style parameter.
+ * @default
+ *
+ * @param picture
+ * @type file
+ * @dir img/pictures/
+ * @text Background Picture
+ * @desc Picture used by the Picture style. Leave empty for the Background Picture parameter.
+ * @default
+ *
+ * @param backgroundOpacity
+ * @type number
+ * @min -1
+ * @max 255
+ * @text Background Opacity
+ * @desc Opacity of the background (0-255). -1 for the Background Opacity parameter.
+ * @default -1
+ *
+ * @param padding
+ * @type number
+ * @min -1
+ * @text Padding
+ * @desc Space in pixels around the text. -1 for the Padding parameter.
+ * @default -1
+ *
+ * @param liveMode
+ * @type select
+ * @option Polite
+ * @value polite
+ * @option Assertive
+ * @value assertive
+ * @text Screen Reader Mode
+ * @desc Polite waits until the screen reader is idle, assertive interrupts it.
+ * @default polite
+ *
+ * @param sound
+ * @type struct<SoundEffect>
+ * @text Sound Effect
+ * @desc Sound played when a toast of this type appears. Leave the file empty to use the global sound effect.
+ * @default {"enabled":"true","name":"","volume":"60","pitch":"100","pan":"0"}
+ */
+
+/*~struct~AutoToast:
+ * @param enabled
+ * @type boolean
+ * @text Enabled
+ * @desc Raise this toast automatically?
+ * @default false
+ *
+ * @param template
+ * @type string
+ * @text Text Template
+ * @desc Toast text. Placeholders: {name} {icon} {amount} {actor} {level} {currency}
+ * @default
+ *
+ * @param type
+ * @type combo
+ * @option info
+ * @option success
+ * @option warning
+ * @option error
+ * @text Type
+ * @desc The toast type.
+ * @default info
+ *
+ * @param suppressSwitch
+ * @type switch
+ * @text Suppress Switch
+ * @desc While this switch is ON the toast is not shown. 0 for none.
+ * @default 0
+ *
+ * @param channel
+ * @type combo
+ * @option loot
+ * @option quest
+ * @option system
+ * @text Channel
+ * @desc Channel to show the toast in. Leave empty for the default channel.
+ * @default
+ */
+
+/*~struct~Achievement:
+ * @param id
+ * @type string
+ * @text ID
+ * @desc Name used by commands and scripts. Do not change it once the game is released.
+ *
+ * @param name
+ * @type string
+ * @text Name
+ * @desc Name shown in the toast and the achievement list.
+ *
+ * @param description
+ * @type multiline_string
+ * @text Description
+ * @desc Description shown in the achievement list.
+ *
+ * @param iconIndex
+ * @type icon
+ * @text Icon
+ * @desc Icon of the achievement. 0 for no icon.
+ * @default 0
+ *
+ * @param hidden
+ * @type boolean
+ * @text Hidden
+ * @desc Hide name and description until the achievement is unlocked.
+ * @default false
+ *
+ * @param switchId
+ * @type switch
+ * @text Switch
+ * @desc Unlock when this switch is ON. None to unlock by command only.
+ * @default 0
+ *
+ * @param variableId
+ * @type variable
+ * @text Variable
+ * @desc Unlock when this variable reaches the threshold. None to unlock by command only.
+ * @default 0
+ *
+ * @param threshold
+ * @type number
+ * @min -99999999
+ * @text Variable Threshold
+ * @desc Value the variable has to reach.
+ * @default 1
+ */
+
+/*~struct~ToastChannel:
+ * @param name
+ * @type string
+ * @text Name
+ * @desc Channel name used by ShowToast and scripts, e.g. loot.
+ *
+ * @param position
+ * @type select
+ * @option Default
+ * @value
+ * @option Top Left
+ * @value topLeft
+ * @option Top Center
+ * @value top
+ * @option Top Right
+ * @value topRight
+ * @option Middle Left
+ * @value left
+ * @option Center
+ * @value center
+ * @option Middle Right
+ * @value right
+ * @option Bottom Left
+ * @value bottomLeft
+ * @option Bottom Center
+ * @value bottom
+ * @option Bottom Right
+ * @value bottomRight
+ * @text Position
+ * @desc Screen anchor of the channel. Default uses the Toast Position parameter.
+ * @default
+ *
+ * @param maxWidth
+ * @type number
+ * @min 0
+ * @max 100
+ * @text Maximum Width
+ * @desc Toast width in percent of the UI area. 0 uses the Maximum Width parameter.
+ * @default 0
+ *
+ * @param maxToasts
+ * @type number
+ * @min 0
+ * @text Maximum Toasts
+ * @desc Open toasts allowed in this channel. 0 uses the Maximum Toasts parameter.
+ * @default 0
+ *
+ * @param displayTime
+ * @type number
+ * @min 0
+ * @text Display Time
+ * @desc Frames the toasts stay open. 0 uses the Display Time parameter.
+ * @default 0
+ *
+ * @param sound
+ * @type struct<SoundEffect>
+ * @text Sound Effect
+ * @desc Sound for all toasts of this channel. Leave the file empty to use the sound of the toast type.
+ * @default {"enabled":"true","name":"","volume":"60","pitch":"100","pan":"0"}
+ */
+
+(() => {
+    "use strict";
+
     const PLUGIN_NAME = "Reishandy_Toast";
     const params = PluginManager.parameters(PLUGIN_NAME);
+
+    // Horizontal and vertical alignment (0 = start, 0.5 = center, 1 = end)
+    const TOAST_ANCHORS = {
+        topLeft: [0, 0],
+        top: [0.5, 0],
+        topRight: [1, 0],
+        left: [0, 0.5],
+        center: [0.5, 0.5],
+        right: [1, 0.5],
+        bottomLeft: [0, 1],
+        bottom: [0.5, 1],
+        bottomRight: [1, 1],
+    };
+
     const MAX_WIDTH_PERCENT = Number(params["MaxWidth"]) / 100;
     const MAX_TOASTS = Number(params["MaxToasts"]);
     const DISPLAY_TIME = Number(params["DisplayTime"]);
     const SLIDE_SPEED = Number(params["SlideSpeed"]);
-    const TOAST_POSITION = params["ToastPosition"];
+    const TOAST_POSITION = parsePosition(params["ToastPosition"]) || "bottom";
+    const MARGIN_X = Number(params["MarginX"] || 0);
+    const MARGIN_Y = Number(params["MarginY"] || 0);
+    const MIN_PIXEL_WIDTH = Number(params["MinPixelWidth"] || 0);
+    const MAX_PIXEL_WIDTH = Number(params["MaxPixelWidth"] || 0);
+    const STACK_DIRECTION = params["StackDirection"] || "auto";
+    const ENTER_ANIMATION = params["EnterAnimation"] || "fade";
+    const EXIT_ANIMATION = params["ExitAnimation"] || "fade";
+    const ENTER_EASING = params["EnterEasing"] || "easeOutCubic";
+    const EXIT_EASING = params["ExitEasing"] || "easeOutCubic";
+    const ENTER_DURATION = Math.max(1, Number(params["EnterDuration"] || 16));
+    const EXIT_DURATION = Math.max(1, Number(params["ExitDuration"] || 16));
     const MAX_LINES = Number(params["MaxLines"]);
-    const soundSettings = JSON.parse(params["SoundEffect"] || "{}");
-    const ENABLE_SOUND =
-        String(soundSettings.enabled || "false").toLowerCase() === "true";
-    const SOUND_NAME = soundSettings.name;
-    const SOUND_VOLUME = Number(soundSettings.volume);
-    const SOUND_PITCH = Number(soundSettings.pitch);
-    const SOUND_PAN = Number(soundSettings.pan);
+    const QUEUE_SPACING = Number(params["QueueSpacing"] || 0);
+    const EVICTION_POLICY = params["EvictionPolicy"] || "oldest";
+    const MERGE_WINDOW = Number(params["MergeWindow"] || 0);
+    const SAVE_QUEUE = params["SaveQueue"] === "true";
+    const HISTORY_SIZE = Number(params["HistorySize"] || 0);
+    const LOG_MENU_COMMAND = params["LogMenuCommand"] === "true";
+    const LOG_MENU_TEXT = params["LogMenuText"] || "Notifications";
+    const LOG_ALL_TEXT = params["LogAllText"] || "All";
+    const POPUP_DURATION = Math.max(1, Number(params["PopupDuration"] || 90));
+    const POPUP_RISE = Number(params["PopupRise"] || 0);
+    const POPUP_FONT_SIZE = Number(params["PopupFontSize"] || 20);
+    const ACHIEVEMENTS = parseAchievements(params["Achievements"]);
+    const ACHIEVEMENT_TEMPLATE = params["AchievementTemplate"] || "{name}";
+    const ACHIEVEMENT_TYPE = params["AchievementType"] || "";
+    const ACHIEVEMENT_CHANNEL = params["AchievementChannel"] || "";
+    const GLOBAL_ACHIEVEMENTS = params["GlobalAchievements"] === "true";
+    const HIDDEN_ACHIEVEMENT_TEXT = params["HiddenAchievementText"] || "???";
+    const ACHIEVEMENT_MENU_COMMAND =
+        params["AchievementMenuCommand"] === "true";
+    const ACHIEVEMENT_MENU_TEXT =
+        params["AchievementMenuText"] || "Achievements";
+    const DEFER_DURING_MESSAGE = params["DeferDuringMessage"] !== "false";
+    const DEFER_DURING_BATTLE = params["DeferDuringBattle"] !== "false";
+    const CUTSCENE_SWITCH = Number(params["CutsceneSwitch"] || 0);
+    const BLOCKED_SCENES = parseStringList(params["BlockedScenes"]);
+    const CLICK_KEY = params["ClickKey"] || "";
+    const DISMISS_KEY = params["DismissKey"] || "";
+    const CLEAR_KEY = params["ClearKey"] || "";
+    const PAUSE_ON_HOVER = params["PauseOnHover"] !== "false";
+    const SCREEN_READER = params["ScreenReader"] === "true";
+    const READING_TIME = Number(params["ReadingTime"] || 0);
+    const THUMBNAIL_SIZE = Number(params["ThumbnailSize"] || 64);
+    const TOAST_BACKGROUND =
+        parseBackground(params["ToastBackground"]) || "window";
+    const BACKGROUND_PICTURE = params["BackgroundPicture"] || "";
+    const PICTURE_BORDER = Number(params["PictureBorder"] || 0);
+    const BACKGROUND_OPACITY = Number(params["BackgroundOpacity"] || 192);
+    const TOAST_PADDING = Number(params["ToastPadding"] || 12);
+    const DEFAULT_SOUND = parseSound(params["SoundEffect"]);
+    const DEFAULT_TYPE = String(params["DefaultType"] || "info").toLowerCase();
+    const TOAST_TYPES = parseToastTypes(params["ToastTypes"]);
+    const DEFAULT_CHANNEL = {
+        name: "",
+        position: "",
+        maxWidth: MAX_WIDTH_PERCENT,
+        maxToasts: MAX_TOASTS,
+        displayTime: DISPLAY_TIME,
+        sound: null,
+    };
+    const TOAST_CHANNELS = parseChannels(params["Channels"]);
+    // Open toasts plus the ones still playing their exit animation
+    const POOL_SIZE =
+        Object.values(TOAST_CHANNELS).reduce(
+            (size, channel) => size + channel.maxToasts,
+            MAX_TOASTS
+        ) * 2;
+    const AUTO_ITEM_GAIN = parseAutoToast(params["AutoItemGain"]);
+    const AUTO_ITEM_LOSS = parseAutoToast(params["AutoItemLoss"]);
+    const AUTO_GOLD_GAIN = parseAutoToast(params["AutoGoldGain"]);
+    const AUTO_GOLD_LOSS = parseAutoToast(params["AutoGoldLoss"]);
+    const AUTO_EXP = parseAutoToast(params["AutoExp"]);
+    const AUTO_LEVEL_UP = parseAutoToast(params["AutoLevelUp"]);
+    const AUTO_SKILL = parseAutoToast(params["AutoSkill"]);
+    const AUTO_STATE = parseAutoToast(params["AutoState"]);
+    const FALLBACK_TYPE = {
+        name: DEFAULT_TYPE,
+        iconIndex: 0,
+        textColor: 0,
+        windowSkin: "",
+        tint: null,
+        background: "",
+        picture: "",
+        backgroundOpacity: -1,
+        padding: -1,
+        liveMode: "polite",
+        sound: null,
+    };
     const toastQueue = [];
-    let isProcessingQueue = false;
+    let activeToasts = [];
+    let toastLayer = null;
+    let queueWaits = {};
+    let toastWaitFrame = -1;
+    let toastPressed = false;
+    let toastHoverPoint = null;
+    const globalAchievements = new Set();
+
+    //------------------------------------------------------------------------
+    // Parameter Parsing
+    //------------------------------------------------------------------------
+
+    function parseSound(json) {
+        const data = JSON.parse(json || "{}");
+        return {
+            enabled: String(data.enabled || "false").toLowerCase() === "true",
+            name: data.name || "",
+            volume: Number(data.volume || 90),
+            pitch: Number(data.pitch || 100),
+            pan: Number(data.pan || 0),
+        };
+    }
+
+    function parseStringList(json) {
+        return JSON.parse(json || "[]")
+            .map((value) => String(value).trim())
+            .filter((value) => value !== "");
+    }
+
+    function parseTone(text) {
+        const values = String(text || "")
+            .split(",")
+            .map((value) => value.trim())
+            .filter((value) => value !== "")
+            .map(Number);
+        if (values.length !== 3 || values.some((value) => isNaN(value))) {
+            return null;
+        }
+        return values.map((value) => value.clamp(-255, 255));
+    }
+
+    function parseBackground(value) {
+        const style = String(value || "").toLowerCase();
+        return ["window", "dim", "picture", "none"].includes(style)
+            ? style
+            : "";
+    }
+
+    // Returns -1 for empty values so a setting can fall back to the next one.
+    function parseOptionalNumber(value) {
+        const number = Number(value);
+        return value === "" || value === undefined || isNaN(number)
+            ? -1
+            : number;
+    }
+
+    function parsePosition(value) {
+        const key = Object.keys(TOAST_ANCHORS).find(
+            (name) => name.toLowerCase() === String(value || "").toLowerCase()
+        );
+        return key || "";
+    }
+
+    function parseToastTypes(json) {
+        const types = {};
+        JSON.parse(json || "[]").forEach((entry) => {
+            const data = JSON.parse(entry || "{}");
+            const name = String(data.name || "")
+                .trim()
+                .toLowerCase();
+            if (!name) return;
+            types[name] = {
+                name,
+                iconIndex: Number(data.iconIndex || 0),
+                textColor: Number(data.textColor || 0),
+                windowSkin: data.windowSkin || "",
+                tint: parseTone(data.tint),
+                background: parseBackground(data.background),
+                picture: data.picture || "",
+                backgroundOpacity: parseOptionalNumber(data.backgroundOpacity),
+                padding: parseOptionalNumber(data.padding),
+                liveMode:
+                    data.liveMode === "assertive" ? "assertive" : "polite",
+                sound: data.sound ? parseSound(data.sound) : null,
+            };
+        });
+        return types;
+    }
+
+    function parseChannels(json) {
+        const channels = {};
+        JSON.parse(json || "[]").forEach((entry) => {
+            const data = JSON.parse(entry || "{}");
+            const name = String(data.name || "")
+                .trim()
+                .toLowerCase();
+            if (!name) return;
+            const maxWidth = Number(data.maxWidth || 0);
+            channels[name] = {
+                name,
+                position: parsePosition(data.position),
+                maxWidth: maxWidth > 0 ? maxWidth / 100 : MAX_WIDTH_PERCENT,
+                maxToasts: Number(data.maxToasts || 0) || MAX_TOASTS,
+                displayTime: Number(data.displayTime || 0) || DISPLAY_TIME,
+                sound: data.sound ? parseSound(data.sound) : null,
+            };
+        });
+        return channels;
+    }
+
+    function parseAchievements(json) {
+        return JSON.parse(json || "[]")
+            .map((entry) => JSON.parse(entry || "{}"))
+            .map((data) => ({
+                id: String(data.id || data.name || "").trim(),
+                name: data.name || "",
+                description: data.description || "",
+                iconIndex: Number(data.iconIndex || 0),
+                hidden: data.hidden === "true",
+                switchId: Number(data.switchId || 0),
+                variableId: Number(data.variableId || 0),
+                threshold: Number(data.threshold || 0),
+            }))
+            .filter((achievement) => achievement.id);
+    }
+
+    function parseAutoToast(json) {
+        const data = JSON.parse(json || "{}");
+        return {
+            enabled: data.enabled === "true",
+            template: data.template || "",
+            type: data.type || DEFAULT_TYPE,
+            suppressSwitch: Number(data.suppressSwitch || 0),
+            channel: data.channel || "",
+        };
+    }
+
+    function toastType(name) {
+        const key = String(name || DEFAULT_TYPE).toLowerCase();
+        return TOAST_TYPES[key] || TOAST_TYPES[DEFAULT_TYPE] || FALLBACK_TYPE;
+    }
+
+    function toastChannel(name) {
+        const key = String(name || "").toLowerCase();
+        return TOAST_CHANNELS[key] || DEFAULT_CHANNEL;
+    }
+
+    function playToastSound(type, channel) {
+        const sound =
+            [channel.sound, type.sound].find((se) => se && se.name) ||
+            DEFAULT_SOUND;
+        if (sound.enabled && sound.name) {
+            AudioManager.playSe({
+                name: sound.name,
+                volume: sound.volume,
+                pitch: sound.pitch,
+                pan: sound.pan,
+            });
+        }
+    }
+
+    //------------------------------------------------------------------------
+    // Plugin Command Registration
+    //------------------------------------------------------------------------
+
+    PluginManager.registerCommand(PLUGIN_NAME, "ShowToast", (args) => {
+        const text = args.text;
+        showToast(text, {
+            type: args.type,
+            channel: args.channel,
+            id: args.id,
+            progress: parseProgressArg(args.progress),
+            persistent: args.persistent === "true",
+            sticky: args.sticky === "true",
+            priority: Number(args.priority || 0),
+            position: args.position,
+            commonEventId: Number(args.commonEventId || 0),
+            switchId: Number(args.switchId || 0),
+            dismissOnClick: args.dismissOnClick === "true",
+            background: args.background,
+            actorId: Number(args.actorId || 0),
+            actorImage: args.actorImage,
+            faceName: args.faceName,
+            faceIndex: Number(args.faceIndex || 0),
+            pictureName: args.pictureName,
+        });
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "UpdateToast", (args) => {
+        updateToast(args.id, {
+            text: args.text || undefined,
+            progress: parseProgressArg(args.progress),
+        });
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "DismissToast", (args) => {
+        dismissToast(args.id);
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "ScheduleToast", (args) => {
+        const unit = args.unit === "frames" ? 1 : 60;
+        $gameSystem.scheduleToast(args.id, args.text, {
+            type: args.type,
+            channel: args.channel,
+            delay: Number(args.delay || 0) * unit,
+            interval: Number(args.interval || 0) * unit,
+            repeat: Number(args.repeat || 0),
+            pauseInMenus: args.pauseInMenus !== "false",
+        });
+    });
+
+    PluginManager.registerCommand(
+        PLUGIN_NAME,
+        "CancelScheduledToast",
+        (args) => {
+            $gameSystem.cancelScheduledToast(args.id);
+        }
+    );
+
+    PluginManager.registerCommand(PLUGIN_NAME, "WaitForToasts", function () {
+        this.setWaitMode("toast");
+    });
+
+    const _Game_Interpreter_updateWaitMode =
+        Game_Interpreter.prototype.updateWaitMode;
+    Game_Interpreter.prototype.updateWaitMode = function () {
+        if (this._waitMode === "toast") {
+            toastWaitFrame = Graphics.frameCount;
+            if (isToastBusy()) return true;
+            toastWaitFrame = -1;
+            this._waitMode = "";
+            return false;
+        }
+        return _Game_Interpreter_updateWaitMode.call(this);
+    };
+
+    PluginManager.registerCommand(PLUGIN_NAME, "OpenToastLog", () => {
+        SceneManager.push(Scene_ToastLog);
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "ShowPopup", function (args) {
+        const character = this.character(Number(args.character || 0));
+        showPopup(args.text, character, { type: args.type });
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "UnlockAchievement", (args) => {
+        $gameSystem.unlockAchievement(args.id);
+    });
+
+    PluginManager.registerCommand(PLUGIN_NAME, "OpenAchievements", () => {
+        SceneManager.push(Scene_Achievements);
+    });
+
+    function parseProgressArg(value) {
+        const progress = Number(value);
+        return value !== "" && progress >= 0 ? progress : undefined;
+    }
+
+    //------------------------------------------------------------------------
+    // Toast Notification System
+    //------------------------------------------------------------------------
+
+    function Window_Toast() {
+        this.initialize(...arguments);
+    }
+
+    Window_Toast.prototype = Object.create(Window_Base.prototype);
+    Window_Toast.prototype.constructor = Window_Toast;
+
+    Window_Toast.animations = {};
+    Window_Toast.easings = {};
+
+    Window_Toast.registerAnimation = function (name, animation) {
+        this.animations[name] = animation;
+    };
+
+    Window_Toast.registerEasing = function (name, easing) {
+        this.easings[name] = easing;
+    };
+
+    Window_Toast.prototype.initialize = function () {
+        this._toast = null;
+        this._toastType = FALLBACK_TYPE;
+        Window_Base.prototype.initialize.call(this, new Rectangle(0, 0, 1, 1));
+        this.createBackgroundSprite();
+        this.clear();
+    };
+
+    // Sits behind the window frame and holds the dim bar or picture.
+    Window_Toast.prototype.createBackgroundSprite = function () {
+        this._backgroundSprite = new Sprite(new Bitmap(1, 1));
+        this._background = null;
+        this.addChildAt(this._backgroundSprite, 0);
+    };
+
+    // Puts the window back into its unused state so the pool can hand it out
+    // again for the next toast.
+    Window_Toast.prototype.clear = function () {
+        this._toast = null;
+        this.opacity = 0;
+        this.contentsOpacity = 0;
+        this.count = 0;
+        this._enterFrame = 0;
+        this._exitFrame = 0;
+        this._placed = false;
+        this._baseX = 0;
+        this._baseY = 0;
+        this._targetY = 0;
+        this._closeReason = "";
+        this._hovered = false;
+        this._historyEntry = null;
+        this._background = null;
+        this._backgroundSprite.bitmap.clear();
+        this._backgroundSprite.opacity = 0;
+        this.contents.clear();
+        this.hide();
+    };
+
+    Window_Toast.prototype.update = function () {
+        Window_Base.prototype.update.call(this);
+        if (!this.visible) return;
+        if (this.count > 0) {
+            this._enterFrame = Math.min(this._enterFrame + 1, ENTER_DURATION);
+            if (!this.isTimerPaused()) {
+                this.count--;
+            }
+            if (this.count === 0) {
+                this._closeReason = "timeout";
+                this.startExit();
+            }
+        } else {
+            this._exitFrame++;
+            if (this._exitFrame >= EXIT_DURATION) {
+                this.hide();
+                return;
+            }
+        }
+        this.updateReflow();
+        this.updateAnimation();
+    };
+
+    Window_Toast.prototype.toast = function () {
+        return this._toast;
+    };
+
+    Window_Toast.prototype.isTimerPaused = function () {
+        return this._toast.persistent || this._toast.sticky || this._hovered;
+    };
+
+    Window_Toast.prototype.setHovered = function (hovered) {
+        this._hovered = hovered;
+    };
+
+    // Persistent toasts belong to the game and only close from code.
+    Window_Toast.prototype.isDismissible = function () {
+        return !this.isClosing() && !this._toast.persistent;
+    };
+
+    Window_Toast.prototype.isClosing = function () {
+        return this.count === 0;
+    };
+
+    Window_Toast.prototype.updateTone = function () {
+        const tone = this._toastType.tint || $gameSystem.windowTone();
+        this.setTone(tone[0], tone[1], tone[2]);
+    };
+
+    Window_Toast.prototype.resetTextColor = function () {
+        this.changeTextColor(ColorManager.textColor(this._toastType.textColor));
+        this.changeOutlineColor(ColorManager.outlineColor());
+    };
+
+    Window_Toast.prototype.channel = function () {
+        return toastChannel(this._toast.channel);
+    };
+
+    Window_Toast.prototype.priority = function () {
+        return this._toast.priority || 0;
+    };
+
+    Window_Toast.prototype.anchor = function () {
+        return (
+            this._toast.position || this.channel().position || TOAST_POSITION
+        );
+    };
+
+    Window_Toast.prototype.stackDirection = function () {
+        if (STACK_DIRECTION === "auto") {
+            return TOAST_ANCHORS[this.anchor()][1] === 1 ? -1 : 1;
+        }
+        return STACK_DIRECTION === "up" ? -1 : 1;
+    };
+
+    // Height the toast takes up in its stack. It shrinks while the toast
+    // leaves, so the toasts behind it close the gap gradually.
+    Window_Toast.prototype.stackHeight = function () {
+        if (this.count > 0) {
+            return this.height;
+        }
+        return Math.round(this.height * (1 - this._exitFrame / EXIT_DURATION));
+    };
+
+    Window_Toast.prototype.updatePosition = function () {
+        const [alignX, alignY] = TOAST_ANCHORS[this.anchor()];
+        const currentToasts = activeToasts.filter(
+            (toast) => toast.visible && toast.anchor() === this.anchor()
+        );
+        const myIndex = currentToasts.indexOf(this);
+        let totalOffset = 0;
+
+        for (let i = 0; i < myIndex; i++) {
+            totalOffset += currentToasts[i].stackHeight();
+        }
+
+        const area = toastArea();
+        const baseY = area.y + (area.height - this.height) * alignY;
+        this._baseX = area.x + (area.width - this.width) * alignX;
+        this._targetY = baseY + this.stackDirection() * totalOffset;
+        if (!this._placed) {
+            this._baseY = this._targetY;
+            this._placed = true;
+        }
+    };
+
+    Window_Toast.prototype.updateReflow = function () {
+        const distance = this._targetY - this._baseY;
+        if (distance !== 0) {
+            const step = Math.max(1, (Math.abs(distance) * SLIDE_SPEED) / 32);
+            this._baseY +=
+                Math.sign(distance) * Math.min(step, Math.abs(distance));
+        }
+    };
+
+    Window_Toast.prototype.animationState = function () {
+        const entering = this.count > 0;
+        const name = entering
+            ? this._toast.enterAnimation || ENTER_ANIMATION
+            : this._toast.exitAnimation || EXIT_ANIMATION;
+        const easing =
+            Window_Toast.easings[entering ? ENTER_EASING : EXIT_EASING];
+        const animation = Window_Toast.animations[name];
+        const progress = entering
+            ? this._enterFrame / ENTER_DURATION
+            : 1 - this._exitFrame / EXIT_DURATION;
+        const state = (animation || Window_Toast.animations.fade)(
+            (easing || Window_Toast.easings.linear)(progress),
+            this
+        );
+        return { x: 0, y: 0, alpha: 1, scale: 1, ...state };
+    };
+
+    Window_Toast.prototype.updateAnimation = function () {
+        const state = this.animationState();
+        const opacity = Math.round(255 * state.alpha.clamp(0, 1));
+        this.scale.x = state.scale;
+        this.scale.y = state.scale;
+        this.x = this._baseX + state.x + (this.width * (1 - state.scale)) / 2;
+        this.y = this._baseY + state.y + (this.height * (1 - state.scale)) / 2;
+        this.opacity = this.showsFrame() ? opacity : 0;
+        this.contentsOpacity = opacity;
+        this._backgroundSprite.opacity = this.showsFrame()
+            ? 0
+            : Math.round((this._background.opacity * opacity) / 255);
+    };
+
+    Window_Toast.prototype.showsFrame = function () {
+        return !this._background || this._background.style === "window";
+    };
+
+    Window_Toast.prototype.startExit = function () {
+        // Continue from the current enter progress when closed early
+        const enterRate = this._enterFrame / ENTER_DURATION;
+        this._exitFrame = Math.round(EXIT_DURATION * (1 - enterRate));
+    };
+
+    Window_Toast.prototype.showMessage = function (toast) {
+        this._toast = toast;
+        playToastSound(toastType(toast.type), this.channel());
+        this.refresh();
+        this.count = this.displayTime();
+        this._enterFrame = 0;
+        this.show();
+        this.announce();
+        this.updatePosition();
+        this.updateAnimation();
+    };
+
+    Window_Toast.prototype.changeToast = function (changes) {
+        Object.assign(this._toast, changes);
+        this.count = this.displayTime();
+        this.refresh();
+        if (changes.text !== undefined) {
+            this.announce();
+        }
+    };
+
+    Window_Toast.prototype.mergeToast = function () {
+        this._toast.mergeCount++;
+        this._toast.time = Graphics.frameCount;
+        if (this._historyEntry) {
+            this._historyEntry.count = this._toast.mergeCount;
+        }
+        this.count = this.displayTime();
+        this.refresh();
+        this.announce();
+    };
+
+    Window_Toast.prototype.setHistoryEntry = function (entry) {
+        this._historyEntry = entry;
+    };
+
+    Window_Toast.prototype.displayTime = function () {
+        const readingTime = this.plainText().length * READING_TIME;
+        return this.channel().displayTime + Math.round(readingTime);
+    };
+
+    // The toast text as a screen reader should hear it, with the values of
+    // \v[n] and the like filled in and every other escape code removed.
+    Window_Toast.prototype.plainText = function () {
+        const text = this.convertEscapeCharacters(this._toast.text);
+        return plainToastText(text);
+    };
+
+    Window_Toast.prototype.announce = function () {
+        const badge = this.badgeText();
+        const text = this.plainText() + (badge ? ` ${badge}` : "");
+        announceToast(text, toastType(this._toast.type).liveMode);
+    };
+
+    Window_Toast.prototype.dismiss = function (reason = "dismissed") {
+        if (this.count > 0) {
+            this.count = 0;
+            this._closeReason = reason;
+            this.startExit();
+        }
+    };
+
+    Window_Toast.prototype.closeReason = function () {
+        return this._closeReason;
+    };
+
+    Window_Toast.prototype.hasAction = function () {
+        const toast = this._toast;
+        return toast.commonEventId > 0 || toast.switchId > 0 || !!toast.onClick;
+    };
+
+    Window_Toast.prototype.isClickable = function () {
+        return (
+            !this.isClosing() &&
+            (this.hasAction() ||
+                this._toast.dismissOnClick ||
+                this._toast.sticky)
+        );
+    };
+
+    Window_Toast.prototype.isTouched = function (x, y) {
+        return (
+            x >= this.x &&
+            y >= this.y &&
+            x < this.x + this.width &&
+            y < this.y + this.height
+        );
+    };
+
+    Window_Toast.prototype.click = function () {
+        const toast = this._toast;
+        SoundManager.playOk();
+        if (toast.commonEventId > 0) {
+            $gameTemp.reserveCommonEvent(toast.commonEventId);
+        }
+        if (toast.switchId > 0) {
+            $gameSwitches.setValue(toast.switchId, true);
+        }
+        if (toast.onClick) {
+            toast.onClick(toast);
+        }
+        if (toast.dismissOnClick || toast.sticky) {
+            this.dismiss("click");
+        }
+    };
+
+    Window_Toast.prototype.hasProgress = function () {
+        return typeof this._toast.progress === "number";
+    };
+
+    Window_Toast.prototype.progressHeight = function () {
+        return 18;
+    };
+
+    Window_Toast.prototype.badgeText = function () {
+        const mergeCount = this._toast.mergeCount || 1;
+        return mergeCount > 1 ? `×${mergeCount}` : "";
+    };
+
+    Window_Toast.prototype.badgeWidth = function () {
+        const text = this.badgeText();
+        return text ? this.textWidth(text) + 16 : 0;
+    };
+
+    Window_Toast.prototype.refresh = function () {
+        const toast = this._toast;
+        const type = toastType(toast.type);
+        this._toastType = type;
+        this._background = this.backgroundStyle();
+        this.windowskin = ImageManager.loadSystem(this._background.windowSkin);
+        this.backOpacity = this._background.opacity;
+        this.padding = this._background.padding;
+        this.updateTone();
+
+        const maxWidth = this.maxWidth();
+        const padding = this.padding * 2;
+        const badgeWidth = this.badgeWidth();
+        const thumbnailWidth = this.thumbnailWidth();
+
+        const iconText = type.iconIndex > 0 ? `\\I[${type.iconIndex}] ` : "";
+        const processedText = this.convertEscapeCharacters(
+            iconText + toast.text
+        );
+        const lines = breakToastLines(
+            processedText,
+            maxWidth - padding - 32 - badgeWidth - thumbnailWidth,
+            MAX_LINES,
+            (line) => this.textSizeEx(line).width
+        );
+
+        const textWidth =
+            Math.max(...lines.map((line) => this.textSizeEx(line).width)) +
+            padding +
+            32;
+        const minWidth = this.hasProgress() ? Math.floor(maxWidth / 2) : 0;
+        const width = Math.min(
+            maxWidth,
+            Math.max(
+                textWidth + badgeWidth + thumbnailWidth,
+                minWidth,
+                MIN_PIXEL_WIDTH
+            )
+        );
+        const textHeight = this.lineHeight() * lines.length;
+        const progressHeight = this.hasProgress() ? this.progressHeight() : 0;
+        const thumbnailHeight = thumbnailWidth > 0 ? THUMBNAIL_SIZE : 0;
+        const innerHeight = Math.max(
+            textHeight + progressHeight,
+            thumbnailHeight
+        );
+        const height = innerHeight + padding;
+        const textY = Math.floor(
+            (innerHeight - textHeight - progressHeight) / 2
+        );
+
+        this.width = width;
+        this.height = height;
+
+        this.createContents();
+        this.contents.clear();
+
+        const textAreaWidth = width - padding - badgeWidth - thumbnailWidth;
+        lines.forEach((line, index) => {
+            const lineWidth = this.textSizeEx(line).width;
+            const x = Math.max(0, (textAreaWidth - lineWidth) / 2);
+            this.drawTextEx(
+                line,
+                thumbnailWidth + x,
+                textY + this.lineHeight() * index
+            );
+        });
+
+        if (badgeWidth > 0) {
+            this.drawBadge(this.innerWidth - badgeWidth, badgeWidth);
+        }
+
+        if (this.hasProgress()) {
+            this.drawProgress(thumbnailWidth, textY + textHeight + 3);
+        }
+
+        if (thumbnailWidth > 0) {
+            this.drawThumbnail(Math.floor((innerHeight - THUMBNAIL_SIZE) / 2));
+        }
+
+        this.refreshBackground();
+    };
+
+    Window_Toast.prototype.maxWidth = function () {
+        const area = toastArea();
+        let width = Math.floor(area.width * this.channel().maxWidth);
+        if (MAX_PIXEL_WIDTH > 0) {
+            width = Math.min(width, MAX_PIXEL_WIDTH);
+        }
+        return Math.min(Math.max(width, MIN_PIXEL_WIDTH), area.width);
+    };
+
+    // Wraps the text again for a new screen size and snaps the toast to its
+    // new place instead of sliding there.
+    Window_Toast.prototype.relayout = function () {
+        this.refresh();
+        this._placed = false;
+    };
+
+    // Picks each background setting from the toast, then its type, then the
+    // plugin parameters.
+    Window_Toast.prototype.backgroundStyle = function () {
+        const toast = this._toast;
+        const type = this._toastType;
+        const number = (...values) => values.find((value) => value >= 0);
+        return {
+            style: toast.background || type.background || TOAST_BACKGROUND,
+            picture: toast.picture || type.picture || BACKGROUND_PICTURE,
+            windowSkin: toast.windowSkin || type.windowSkin || "Window",
+            opacity: number(
+                toast.backgroundOpacity,
+                type.backgroundOpacity,
+                BACKGROUND_OPACITY
+            ).clamp(0, 255),
+            padding: number(toast.padding, type.padding, TOAST_PADDING),
+        };
+    };
+
+    Window_Toast.prototype.refreshBackground = function () {
+        const bitmap = this._backgroundSprite.bitmap;
+        if (bitmap.width !== this.width || bitmap.height !== this.height) {
+            bitmap.resize(this.width, this.height);
+        }
+        bitmap.clear();
+        this._backgroundSprite.setFrame(0, 0, this.width, this.height);
+        const style = this._background.style;
+        if (style === "dim") {
+            this.drawDimBackground(bitmap);
+        } else if (style === "picture" && this._background.picture) {
+            const picture = ImageManager.loadPicture(this._background.picture);
+            const background = this._background;
+            picture.addLoadListener(() => {
+                if (this._background === background) {
+                    this.drawPictureBackground(bitmap, picture);
+                }
+            });
+        }
+    };
+
+    Window_Toast.prototype.drawDimBackground = function (bitmap) {
+        const c1 = ColorManager.itemBackColor1();
+        const c2 = ColorManager.itemBackColor2();
+        const width = bitmap.width;
+        const height = bitmap.height;
+        bitmap.gradientFillRect(0, 0, width, height, c1, c2, true);
+        bitmap.strokeRect(0, 0, width, height, c1);
+    };
+
+    // Nine-slice scaling: the corners keep their size, the edges stretch
+    // along one axis and the center fills the rest.
+    Window_Toast.prototype.drawPictureBackground = function (bitmap, picture) {
+        const border = Math.min(
+            PICTURE_BORDER,
+            Math.floor(picture.width / 2),
+            Math.floor(picture.height / 2),
+            Math.floor(bitmap.width / 2),
+            Math.floor(bitmap.height / 2)
+        );
+        const slices = (sourceSize, targetSize) => [
+            [0, border, 0, border],
+            [border, sourceSize - border * 2, border, targetSize - border * 2],
+            [sourceSize - border, border, targetSize - border, border],
+        ];
+        for (const [sx, sw, dx, dw] of slices(picture.width, bitmap.width)) {
+            for (const [sy, sh, dy, dh] of slices(
+                picture.height,
+                bitmap.height
+            )) {
+                if (sw > 0 && sh > 0 && dw > 0 && dh > 0) {
+                    bitmap.blt(picture, sx, sy, sw, sh, dx, dy, dw, dh);
+                }
+            }
+        }
+    };
+
+    // Resizes the existing contents bitmaps instead of replacing them, so a
+    // pooled window keeps the same textures however often it is refreshed.
+    Window_Toast.prototype.createContents = function () {
+        if (!this.contents || !this.contentsBack) {
+            Window_Base.prototype.createContents.call(this);
+            return;
+        }
+        const width = this.contentsWidth();
+        const height = this.contentsHeight();
+        for (const bitmap of [this.contents, this.contentsBack]) {
+            if (bitmap.width !== width || bitmap.height !== height) {
+                bitmap.resize(width, height);
+            }
+            bitmap.clear();
+        }
+        this.resetFontSettings();
+    };
+
+    Window_Toast.prototype.drawBadge = function (x, width) {
+        const y = 4;
+        const height = this.lineHeight() - 8;
+        this.contents.fillRect(x, y, width, height, ColorManager.dimColor1());
+        this.resetTextColor();
+        this.drawText(this.badgeText(), x, 0, width, "center");
+    };
+
+    Window_Toast.prototype.drawProgress = function (x, y) {
+        const width = this.innerWidth - x;
+        const height = this.progressHeight() - 6;
+        const fillWidth = Math.floor(
+            ((width - 2) * this._toast.progress) / 100
+        );
+        const color1 = ColorManager.tpGaugeColor1();
+        const color2 = ColorManager.tpGaugeColor2();
+        this.contents.fillRect(
+            x,
+            y,
+            width,
+            height,
+            ColorManager.gaugeBackColor()
+        );
+        this.contents.gradientFillRect(
+            x + 1,
+            y + 1,
+            fillWidth,
+            height - 2,
+            color1,
+            color2
+        );
+    };
+
+    // Thumbnail plus the gap between it and the text
+    Window_Toast.prototype.thumbnailWidth = function () {
+        return this._toast.thumbnail ? THUMBNAIL_SIZE + 8 : 0;
+    };
+
+    Window_Toast.prototype.thumbnailBitmap = function (thumbnail) {
+        switch (thumbnail.kind) {
+            case "face":
+                return ImageManager.loadFace(thumbnail.name);
+            case "character":
+                return ImageManager.loadCharacter(thumbnail.name);
+            default:
+                return ImageManager.loadPicture(thumbnail.name);
+        }
+    };
+
+    // Same frames as Window_Base.drawFace and drawCharacter
+    Window_Toast.prototype.thumbnailRect = function (thumbnail, bitmap) {
+        if (thumbnail.kind === "face") {
+            const pw = ImageManager.faceWidth;
+            const ph = ImageManager.faceHeight;
+            const index = thumbnail.index;
+            return new Rectangle(
+                (index % 4) * pw,
+                Math.floor(index / 4) * ph,
+                pw,
+                ph
+            );
+        }
+        if (thumbnail.kind === "character") {
+            const big = ImageManager.isBigCharacter(thumbnail.name);
+            const pw = bitmap.width / (big ? 3 : 12);
+            const ph = bitmap.height / (big ? 4 : 8);
+            const n = big ? 0 : thumbnail.index;
+            const sx = ((n % 4) * 3 + 1) * pw;
+            const sy = Math.floor(n / 4) * 4 * ph;
+            return new Rectangle(sx, sy, pw, ph);
+        }
+        return new Rectangle(0, 0, bitmap.width, bitmap.height);
+    };
+
+    // Images may still be loading, so the thumbnail is drawn once they are
+    // ready, unless the window has moved on to another toast by then.
+    Window_Toast.prototype.drawThumbnail = function (y) {
+        const toast = this._toast;
+        const thumbnail = toast.thumbnail;
+        const bitmap = this.thumbnailBitmap(thumbnail);
+        bitmap.addLoadListener(() => {
+            if (this._toast !== toast) return;
+            const rect = this.thumbnailRect(thumbnail, bitmap);
+            let scale = THUMBNAIL_SIZE / Math.max(rect.width, rect.height);
+            if (thumbnail.kind === "character") {
+                // Keep pixel art sharp
+                scale = Math.min(scale, 1);
+            }
+            const dw = Math.floor(rect.width * scale);
+            const dh = Math.floor(rect.height * scale);
+            const dx = Math.floor((THUMBNAIL_SIZE - dw) / 2);
+            const dy = y + Math.floor((THUMBNAIL_SIZE - dh) / 2);
+            this.contents.blt(
+                bitmap,
+                rect.x,
+                rect.y,
+                rect.width,
+                rect.height,
+                dx,
+                dy,
+                dw,
+                dh
+            );
+        });
+    };
+
+    //------------------------------------------------------------------------
+    // Line Breaking
+    //------------------------------------------------------------------------
+    // Works on text that already went through convertEscapeCharacters. Latin
+    // text breaks at spaces, CJK text between any two characters following
+    // basic kinsoku rules, and words wider than a line are split. Color and
+    // font size codes are carried over to the next line, so every returned
+    // line draws the same as it would as part of the whole text.
+
+    const CJK_PATTERN = /[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+    const ESCAPE_PATTERN = /^\x1b([$.|^!><{}\\]|[A-Z]+)(\[\d+\])?/i;
+    const NO_LINE_START =
+        "、。，．・：；？！ー…‥々ゝゞヽヾぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ" +
+        "）」』】〉》〕］｝〟’”,.:;?!)]}%";
+    const NO_LINE_END = "（「『【〈《〔［｛〝‘“([{";
+    const ELLIPSIS = "...";
+
+    function tokenizeToastText(text) {
+        const tokens = [];
+        let index = 0;
+        while (index < text.length) {
+            const char = text[index];
+            const escape =
+                char === "\x1b" && ESCAPE_PATTERN.exec(text.slice(index));
+            let end = index + 1;
+            if (escape) {
+                const code = escape[1].toUpperCase();
+                end = index + escape[0].length;
+                // Icons take up space like a character, other codes do not
+                tokens.push({ text: escape[0], code, content: code === "I" });
+            } else if (char === "\n") {
+                tokens.push({ text: char, newline: true });
+            } else if (/\s/.test(char)) {
+                while (end < text.length && /[^\S\n]/.test(text[end])) end++;
+                tokens.push({ text: text.slice(index, end), space: true });
+            } else if (CJK_PATTERN.test(char)) {
+                tokens.push({ text: char, content: true });
+            } else {
+                while (end < text.length && isWordChar(text[end])) end++;
+                tokens.push({ text: text.slice(index, end), content: true });
+            }
+            index = end;
+        }
+        return tokens;
+    }
+
+    function isWordChar(char) {
+        return char !== "\x1b" && !/\s/.test(char) && !CJK_PATTERN.test(char);
+    }
+
+    function joinTokens(tokens) {
+        // Literal backslashes are escaped again, since drawTextEx and
+        // textSizeEx convert escape characters a second time.
+        return tokens
+            .map((token) =>
+                token.code ? token.text : token.text.replace(/\\/g, "\x1b\x1b")
+            )
+            .join("");
+    }
+
+    // Color and font size codes a line leaves behind for the next one
+    function carriedTokens(tokens) {
+        let color = null;
+        const size = [];
+        for (const token of tokens) {
+            if (token.code === "C") {
+                color = token;
+            } else if (["{", "}", "FS"].includes(token.code)) {
+                size.push(token);
+            }
+        }
+        return color ? [color, ...size] : size;
+    }
+
+    function breakToastLines(text, maxWidth, maxLines, measure) {
+        const lines = [];
+        let carried = [];
+        let line = [];
+        const fits = (tokens) =>
+            measure(joinTokens(carried.concat(tokens))) <= maxWidth;
+        const hasContent = (tokens) => tokens.some((token) => token.content);
+
+        const finishLine = (rest = []) => {
+            while (line.length > 0 && line[line.length - 1].space) {
+                line.pop();
+            }
+            lines.push({ carried, tokens: line });
+            carried = carriedTokens(carried.concat(line));
+            line = rest;
+        };
+
+        // Kinsoku: pull the last characters down to the next line when the
+        // next one may not start a line or the last one may not end it
+        const kinsokuRest = (next) => {
+            let cut = line.length;
+            const previousContent = (index) => {
+                for (let i = index - 1; i >= 0; i--) {
+                    if (line[i].space) return -1;
+                    if (line[i].content) return i;
+                }
+                return -1;
+            };
+            const movable = (index) =>
+                index >= 0 && hasContent(line.slice(0, index));
+            let index = previousContent(cut);
+            if (movable(index) && NO_LINE_START.includes(next.text[0])) {
+                cut = index;
+                index = previousContent(cut);
+            }
+            while (
+                movable(index) &&
+                NO_LINE_END.includes(line[index].text.slice(-1))
+            ) {
+                cut = index;
+                index = previousContent(cut);
+            }
+            return line.splice(cut);
+        };
+
+        const addByCharacter = (token) => {
+            for (const char of token.text) {
+                const charToken = { text: char, content: true };
+                if (hasContent(line) && !fits(line.concat(charToken))) {
+                    finishLine();
+                }
+                line.push(charToken);
+            }
+        };
+
+        for (const token of tokenizeToastText(text)) {
+            if (token.newline) {
+                finishLine();
+            } else if (!token.content) {
+                if (!token.space || hasContent(line)) {
+                    line.push(token);
+                }
+            } else if (fits(line.concat(token))) {
+                line.push(token);
+            } else if (!hasContent(line)) {
+                addByCharacter(token);
+            } else {
+                finishLine(kinsokuRest(token));
+                if (fits(line.concat(token))) {
+                    line.push(token);
+                } else {
+                    addByCharacter(token);
+                }
+            }
+        }
+        finishLine();
+
+        if (lines.length > maxLines) {
+            lines.length = maxLines;
+            const last = lines[maxLines - 1];
+            const ellipsis = { text: ELLIPSIS, content: true };
+            const tokens = last.tokens;
+            carried = last.carried;
+            while (hasContent(tokens) && !fits(tokens.concat(ellipsis))) {
+                tokens.pop();
+            }
+            while (tokens.length > 0 && tokens[tokens.length - 1].space) {
+                tokens.pop();
+            }
+            tokens.push(ellipsis);
+        }
+        return lines.map((entry) =>
+            joinTokens(entry.carried.concat(entry.tokens))
+        );
+    }
+
+    //------------------------------------------------------------------------
+    // Toast Animations
+    //------------------------------------------------------------------------
+    // An animation receives the eased progress (0 hidden, 1 fully shown) and
+    // the toast window, and returns offsets from the stack position: x, y,
+    // alpha (0-1) and scale. Leaving toasts run the same curve backwards.
+
+    Window_Toast.registerEasing("linear", (t) => t);
+    Window_Toast.registerEasing("easeOutCubic", (t) => 1 - Math.pow(1 - t, 3));
+    Window_Toast.registerEasing("easeOutBack", (t) => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    });
+    Window_Toast.registerEasing("easeOutBounce", (t) => {
+        const n1 = 7.5625;
+        const d1 = 2.75;
+        if (t < 1 / d1) {
+            return n1 * t * t;
+        } else if (t < 2 / d1) {
+            return n1 * (t -= 1.5 / d1) * t + 0.75;
+        } else if (t < 2.5 / d1) {
+            return n1 * (t -= 2.25 / d1) * t + 0.9375;
+        }
+        return n1 * (t -= 2.625 / d1) * t + 0.984375;
+    });
+
+    Window_Toast.registerAnimation("fade", (progress) => ({
+        alpha: progress,
+    }));
+    Window_Toast.registerAnimation("slideLeft", (progress, window) => ({
+        x: -window.width * (1 - progress),
+        alpha: progress,
+    }));
+    Window_Toast.registerAnimation("slideRight", (progress, window) => ({
+        x: window.width * (1 - progress),
+        alpha: progress,
+    }));
+    Window_Toast.registerAnimation("slideTop", (progress, window) => ({
+        y: -window.height * (1 - progress),
+        alpha: progress,
+    }));
+    Window_Toast.registerAnimation("slideBottom", (progress, window) => ({
+        y: window.height * (1 - progress),
+        alpha: progress,
+    }));
+    Window_Toast.registerAnimation("pop", (progress) => ({
+        scale: Math.max(0, progress),
+        alpha: progress * 2,
+    }));
+    Window_Toast.registerAnimation("bounce", (progress, window) => ({
+        y: -window.height * (1 - Window_Toast.easings.easeOutBounce(progress)),
+        alpha: progress * 2,
+    }));
+
+    function updateToastQueue() {
+        for (const channel of Object.keys(queueWaits)) {
+            if (queueWaits[channel] > 0) {
+                queueWaits[channel]--;
+            }
+        }
+        processToastQueue();
+    }
+
+    // Every channel shows at most one toast per frame, and only the first
+    // queued toast of a channel is considered so priorities are kept.
+    function processToastQueue() {
+        if (toastQueue.length === 0 || isToastDeferred()) return;
+
+        const checked = new Set();
+        for (let i = 0; i < toastQueue.length; ) {
+            const message = toastQueue[i];
+            const channel = toastChannel(message.channel).name;
+            if (checked.has(channel) || queueWaits[channel] > 0) {
+                i++;
+                continue;
+            }
+            checked.add(channel);
+            if (makeRoomForToast(message)) {
+                toastQueue.splice(i, 1);
+                queueWaits[channel] = QUEUE_SPACING;
+                openToast(message);
+            } else {
+                i++;
+            }
+        }
+    }
+
+    function openToast(message) {
+        const toast = getToastLayer().acquireToast();
+
+        activeToasts.unshift(toast);
+        toast.showMessage(message);
+        toast.setHistoryEntry($gameSystem.addToastHistory(message));
+    }
+
+    function isToastDeferred() {
+        const scene = SceneManager._scene;
+        if (scene && BLOCKED_SCENES.includes(scene.constructor.name)) {
+            return true;
+        }
+        if (isWaitingForToasts()) {
+            return false;
+        }
+        if (DEFER_DURING_MESSAGE && $gameMessage && $gameMessage.isBusy()) {
+            return true;
+        }
+        if (DEFER_DURING_BATTLE && $gameParty && $gameParty.inBattle()) {
+            return true;
+        }
+        return (
+            CUTSCENE_SWITCH > 0 &&
+            !!$gameSwitches &&
+            $gameSwitches.value(CUTSCENE_SWITCH)
+        );
+    }
+
+    // An event running WaitForToasts lifts the deferral rules, otherwise a
+    // cutscene or troop event would wait for toasts that are never shown.
+    // The frame stamp ends the bypass by itself once no event is waiting.
+    function isWaitingForToasts() {
+        const frames = Graphics.frameCount - toastWaitFrame;
+        return frames >= 0 && frames <= 1;
+    }
+
+    // Frees a slot for the next toast when the stack is full, following the
+    // eviction policy. Returns false when the toast has to keep waiting.
+    function makeRoomForToast(next) {
+        const channel = toastChannel(next.channel);
+        const openToasts = activeToasts.filter(
+            (toast) => !toast.isClosing() && toast.channel() === channel
+        );
+        if (openToasts.length < channel.maxToasts) return true;
+
+        // Toasts kept open or sticky are never evicted, the new toast waits
+        const candidates = openToasts.filter(
+            (toast) => !toast.toast().persistent && !toast.toast().sticky
+        );
+        if (candidates.length === 0) return false;
+
+        const priority = next.priority || 0;
+        // candidates are ordered newest first, so ties resolve to the oldest
+        const lowest = candidates.reduce((low, toast) =>
+            toast.priority() <= low.priority() ? toast : low
+        );
+        let evicted = null;
+        switch (EVICTION_POLICY) {
+            case "oldest":
+                evicted = candidates[candidates.length - 1];
+                break;
+            case "lowest":
+                evicted = lowest.priority() <= priority ? lowest : null;
+                break;
+            case "hold":
+                evicted = lowest.priority() < priority ? lowest : null;
+                break;
+        }
+        if (evicted) {
+            evicted.dismiss("evicted");
+        }
+        return !!evicted;
+    }
+
+    function enqueueToast(toast) {
+        const index = toastQueue.findIndex(
+            (queued) => (queued.priority || 0) < toast.priority
+        );
+        if (index < 0) {
+            toastQueue.push(toast);
+        } else {
+            toastQueue.splice(index, 0, toast);
+        }
+    }
+
+    function updateToastInput() {
+        if (CLICK_KEY && Input.isTriggered(CLICK_KEY)) {
+            const newest = activeToasts.find((toast) => !toast.isClosing());
+            if (newest && newest.isClickable()) {
+                newest.click();
+            }
+        } else if (canUseToastKeys()) {
+            updateToastKeys();
+        }
+        updateToastHover();
+    }
+
+    // Menus use pageup and pagedown to switch between actors.
+    function canUseToastKeys() {
+        return !(SceneManager._scene instanceof Scene_MenuBase);
+    }
+
+    function updateToastKeys() {
+        if (DISMISS_KEY && Input.isTriggered(DISMISS_KEY)) {
+            const newest = activeToasts.find((toast) => toast.isDismissible());
+            if (newest) {
+                newest.dismiss();
+            }
+        } else if (CLEAR_KEY && Input.isTriggered(CLEAR_KEY)) {
+            activeToasts
+                .filter((toast) => toast.isDismissible())
+                .forEach((toast) => toast.dismiss());
+        }
+    }
+
+    function updateToastHover() {
+        const point = toastHoverPoint;
+        const hovered =
+            PAUSE_ON_HOVER && point
+                ? activeToasts.find(
+                      (toast) =>
+                          !toast.isClosing() &&
+                          toast.isTouched(point.x, point.y)
+                  )
+                : null;
+        activeToasts.forEach((toast) => toast.setHovered(toast === hovered));
+    }
+
+    // TouchInput keeps the last tap point on touch screens and the last
+    // point inside the canvas after the mouse has left, so hovering follows
+    // the mouse pointer on its own and is cleared by any other pointer.
+    function onToastPointerMove(event) {
+        if (event.pointerType !== "mouse") {
+            toastHoverPoint = null;
+            return;
+        }
+        const x = Graphics.pageToCanvasX(event.pageX);
+        const y = Graphics.pageToCanvasY(event.pageY);
+        toastHoverPoint = Graphics.isInsideCanvas(x, y)
+            ? new Point(x, y)
+            : null;
+    }
+
+    function onToastPointerOut(event) {
+        if (!event.relatedTarget) {
+            toastHoverPoint = null;
+        }
+    }
+
+    function clearToastHover() {
+        toastHoverPoint = null;
+    }
+
+    document.addEventListener("pointermove", onToastPointerMove);
+    document.addEventListener("pointerdown", onToastPointerMove);
+    document.addEventListener("pointerup", onToastPointerMove);
+    document.addEventListener("pointerout", onToastPointerOut);
+    window.addEventListener("blur", clearToastHover);
+
+    // Runs right after the input update, before the scene, so a press on a
+    // toast and its release are consumed before the map or the windows
+    // underneath can react to them.
+    function updateToastTouch() {
+        if (TouchInput.isTriggered()) {
+            const toast = touchedToast(TouchInput.x, TouchInput.y);
+            if (toast) {
+                toast.click();
+                toastPressed = true;
+                TouchInput._currentState.triggered = false;
+            }
+        } else if (toastPressed && TouchInput.isReleased()) {
+            toastPressed = false;
+            TouchInput._currentState.released = false;
+            TouchInput._clicked = false;
+        }
+    }
+
+    function touchedToast(x, y) {
+        return activeToasts.find(
+            (toast) => toast.isClickable() && toast.isTouched(x, y)
+        );
+    }
+
+    function layoutToasts() {
+        activeToasts.forEach((toast) => toast.updatePosition());
+    }
+
+    // The UI area is centered on the screen, like the scene's window layer.
+    function toastArea() {
+        const x = (Graphics.width - Graphics.boxWidth) / 2 + MARGIN_X;
+        const y = (Graphics.height - Graphics.boxHeight) / 2 + MARGIN_Y;
+        const width = Graphics.boxWidth - MARGIN_X * 2;
+        const height = Graphics.boxHeight - MARGIN_Y * 2;
+        return new Rectangle(x, y, width, height);
+    }
+
+    function normalizeProgress(value) {
+        if (value === null || value === undefined || value === "") {
+            return null;
+        }
+        const progress = Number(value);
+        return isNaN(progress) ? null : progress.clamp(0, 100);
+    }
+
+    function createToast(text, options) {
+        return {
+            id: options.id ? String(options.id) : "",
+            text: String(text || ""),
+            type: toastType(options.type).name,
+            channel: toastChannel(options.channel).name,
+            progress: normalizeProgress(options.progress),
+            persistent: !!options.persistent,
+            sticky: !!options.sticky,
+            priority: Number(options.priority || 0),
+            position: parsePosition(options.position),
+            enterAnimation: options.enterAnimation || "",
+            exitAnimation: options.exitAnimation || "",
+            commonEventId: Number(options.commonEventId || 0),
+            switchId: Number(options.switchId || 0),
+            onClick:
+                typeof options.onClick === "function" ? options.onClick : null,
+            dismissOnClick: !!options.dismissOnClick,
+            background: parseBackground(options.background),
+            picture: options.picture || "",
+            windowSkin: options.windowSkin || "",
+            backgroundOpacity: parseOptionalNumber(options.backgroundOpacity),
+            padding: parseOptionalNumber(options.padding),
+            thumbnail: toastThumbnail(options),
+            mergeCount: 1,
+            time: Graphics.frameCount,
+        };
+    }
+
+    // Actor images are looked up once, so the toast keeps showing the face
+    // the actor had when it was raised.
+    function toastThumbnail(options) {
+        const actor = options.actorId
+            ? $gameActors.actor(Number(options.actorId))
+            : null;
+        if (actor && options.actorImage === "character") {
+            return {
+                kind: "character",
+                name: actor.characterName(),
+                index: actor.characterIndex(),
+            };
+        }
+        if (actor) {
+            return {
+                kind: "face",
+                name: actor.faceName(),
+                index: actor.faceIndex(),
+            };
+        }
+        if (options.faceName) {
+            return {
+                kind: "face",
+                name: String(options.faceName),
+                index: Number(options.faceIndex || 0),
+            };
+        }
+        if (options.characterName) {
+            return {
+                kind: "character",
+                name: String(options.characterName),
+                index: Number(options.characterIndex || 0),
+            };
+        }
+        if (options.pictureName) {
+            return { kind: "picture", name: String(options.pictureName) };
+        }
+        return null;
+    }
+
+    function mergeDuplicateToast(toast) {
+        if (MERGE_WINDOW <= 0 || toast.id) return null;
+        const now = Graphics.frameCount;
+        const matches = (other) =>
+            !other.id &&
+            other.text === toast.text &&
+            other.type === toast.type &&
+            other.channel === toast.channel &&
+            now - other.time <= MERGE_WINDOW;
+
+        const toastWindow = activeToasts.find(
+            (w) => !w.isClosing() && matches(w.toast())
+        );
+        if (toastWindow) {
+            toastWindow.mergeToast();
+            return toastWindow.toast();
+        }
+        const queued = toastQueue.find(matches);
+        if (queued) {
+            queued.mergeCount++;
+            queued.time = now;
+            return queued;
+        }
+        return null;
+    }
+
+    function findActiveToast(id) {
+        return activeToasts.find(
+            (toastWindow) =>
+                !toastWindow.isClosing() && toastWindow.toast().id === id
+        );
+    }
+
+    function findQueuedToast(id) {
+        return toastQueue.find((toast) => toast.id === id);
+    }
+
+    function findToast(id) {
+        const toastWindow = findActiveToast(String(id));
+        return toastWindow ? toastWindow.toast() : findQueuedToast(String(id));
+    }
+
+    // Handles live outside the toast data, which can be saved with the queue,
+    // and resolve once the toast has left the screen or the queue.
+    const toastHandles = new WeakMap();
+    const toastResolvers = new WeakMap();
+
+    function toastHandle(toast) {
+        if (!toastHandles.has(toast)) {
+            const promise = new Promise((resolve) =>
+                toastResolvers.set(toast, resolve)
+            );
+            toastHandles.set(toast, {
+                id: toast.id,
+                promise,
+                update: (options) => updateToastData(toast, options),
+                dismiss: () => closeToast(toast, "dismissed"),
+            });
+        }
+        return toastHandles.get(toast);
+    }
+
+    function resolveToast(toast, reason) {
+        const resolve = toastResolvers.get(toast);
+        if (resolve) {
+            toastResolvers.delete(toast);
+            resolve(reason);
+        }
+    }
+
+    function isToastBusy() {
+        return (
+            toastQueue.some((toast) => !toast.persistent) ||
+            activeToasts.some(
+                (toastWindow) =>
+                    toastWindow.visible && !toastWindow.toast().persistent
+            )
+        );
+    }
+
+    function showToast(text, options = {}) {
+        if (options.id && updateToast(options.id, { ...options, text })) {
+            return toastHandle(findToast(options.id));
+        }
+        const toast = createToast(text, options);
+        const merged = mergeDuplicateToast(toast);
+        if (merged) {
+            return toastHandle(merged);
+        }
+        enqueueToast(toast);
+        return toastHandle(toast);
+    }
+
+    function updateToast(id, options = {}) {
+        const toast = id ? findToast(id) : null;
+        return toast ? updateToastData(toast, options) : false;
+    }
+
+    function updateToastData(toast, options = {}) {
+        const changes = {};
+        if (options.text !== undefined) {
+            changes.text = String(options.text);
+        }
+        if (options.type !== undefined) {
+            changes.type = toastType(options.type).name;
+        }
+        if (options.progress !== undefined) {
+            changes.progress = normalizeProgress(options.progress);
+        }
+        if (options.persistent !== undefined) {
+            changes.persistent = !!options.persistent;
+        }
+        if (options.sticky !== undefined) {
+            changes.sticky = !!options.sticky;
+        }
+
+        const toastWindow = activeToasts.find(
+            (w) => !w.isClosing() && w.toast() === toast
+        );
+        if (toastWindow) {
+            toastWindow.changeToast(changes);
+            return true;
+        }
+        if (toastQueue.includes(toast)) {
+            Object.assign(toast, changes);
+            return true;
+        }
+        return false;
+    }
+
+    function dismissToast(id) {
+        const toast = id ? findToast(id) : null;
+        return toast ? closeToast(toast, "dismissed") : false;
+    }
+
+    function closeToast(toast, reason) {
+        const toastWindow = activeToasts.find(
+            (w) => !w.isClosing() && w.toast() === toast
+        );
+        if (toastWindow) {
+            toastWindow.dismiss(reason);
+            return true;
+        }
+        const index = toastQueue.indexOf(toast);
+        if (index >= 0) {
+            toastQueue.splice(index, 1);
+            resolveToast(toast, reason);
+            return true;
+        }
+        return false;
+    }
+
+    //------------------------------------------------------------------------
+    // Screen Reader Output
+    //------------------------------------------------------------------------
+
+    const LIVE_REGION_SIZE = 10;
+    const LIVE_REGION_STYLE =
+        "position: absolute; left: -10000px; width: 1px; height: 1px; " +
+        "overflow: hidden;";
+    let liveRegions = null;
+
+    function plainToastText(text) {
+        return text
+            .replace(/\x1b[A-Z]+(\[[^\]]*\])?/gi, "")
+            .replace(/\x1b./g, "")
+            .replace(/\s+/g, " ")
+            .trim();
+    }
+
+    function toastLiveRegion(mode) {
+        if (!liveRegions) {
+            liveRegions = {};
+            for (const name of ["polite", "assertive"]) {
+                const region = document.createElement("div");
+                region.setAttribute("aria-live", name);
+                region.setAttribute(
+                    "role",
+                    name === "assertive" ? "alert" : "status"
+                );
+                region.style.cssText = LIVE_REGION_STYLE;
+                document.body.appendChild(region);
+                liveRegions[name] = region;
+            }
+        }
+        return liveRegions[mode] || liveRegions.polite;
+    }
+
+    // Appends instead of replacing, so toasts raised in the same frame are
+    // all read out. Old lines are dropped to keep the region small.
+    function announceToast(text, mode) {
+        if (!SCREEN_READER || !text) return;
+        const region = toastLiveRegion(mode);
+        const line = document.createElement("div");
+        line.textContent = text;
+        region.appendChild(line);
+        while (region.children.length > LIVE_REGION_SIZE) {
+            region.removeChild(region.firstChild);
+        }
+    }
+
+    //------------------------------------------------------------------------
+    // Toast Layer
+    //------------------------------------------------------------------------
+    // The layer is created once and moved to every new scene, so toasts and
+    // the queue are carried across scene changes instead of being destroyed
+    // together with the scene that created them.
+
+    function Sprite_ToastLayer() {
+        this.initialize(...arguments);
+    }
+
+    Sprite_ToastLayer.prototype = Object.create(Sprite.prototype);
+    Sprite_ToastLayer.prototype.constructor = Sprite_ToastLayer;
+
+    Sprite_ToastLayer.prototype.initialize = function () {
+        Sprite.prototype.initialize.call(this);
+        this._pool = [];
+    };
+
+    Sprite_ToastLayer.prototype.update = function () {
+        this.updateScreenSize();
+        updateToastSchedules();
+        updateToastQueue();
+        layoutToasts();
+        updateToastInput();
+        Sprite.prototype.update.call(this);
+        this.removeFinishedToasts();
+    };
+
+    Sprite_ToastLayer.prototype.updateScreenSize = function () {
+        const size = [
+            Graphics.width,
+            Graphics.height,
+            Graphics.boxWidth,
+            Graphics.boxHeight,
+        ].join();
+        if (this._screenSize && this._screenSize !== size) {
+            activeToasts.forEach((toast) => toast.relayout());
+        }
+        this._screenSize = size;
+    };
+
+    Sprite_ToastLayer.prototype.removeFinishedToasts = function () {
+        for (const toast of this.children.clone()) {
+            if (!toast.visible) {
+                this.releaseToast(toast);
+            }
+        }
+        activeToasts = activeToasts.filter((toast) => toast.parent === this);
+    };
+
+    Sprite_ToastLayer.prototype.acquireToast = function () {
+        const toast = this._pool.pop() || new Window_Toast();
+        this.addChild(toast);
+        return toast;
+    };
+
+    Sprite_ToastLayer.prototype.releaseToast = function (toast) {
+        resolveToast(toast.toast(), toast.closeReason() || "dismissed");
+        this.removeChild(toast);
+        if (this._pool.length < POOL_SIZE) {
+            toast.clear();
+            this._pool.push(toast);
+        } else {
+            toast.destroy();
+        }
+    };
+
+    Sprite_ToastLayer.prototype.releaseAllToasts = function () {
+        for (const toast of this.children.clone()) {
+            this.releaseToast(toast);
+        }
+        activeToasts = [];
+    };
+
+    Sprite_ToastLayer.prototype.attachTo = function (scene) {
+        const children = scene.children;
+        if (children[children.length - 1] !== this) {
+            scene.addChild(this);
+        }
+    };
+
+    Sprite_ToastLayer.prototype.detachFrom = function (scene) {
+        if (this.parent === scene) {
+            scene.removeChild(this);
+        }
+    };
+
+    function getToastLayer() {
+        if (!toastLayer) {
+            toastLayer = new Sprite_ToastLayer();
+        }
+        return toastLayer;
+    }
+
+    const _Scene_Base_start = Scene_Base.prototype.start;
+    Scene_Base.prototype.start = function () {
+        _Scene_Base_start.call(this);
+        getToastLayer().attachTo(this);
+    };
+
+    const _Scene_Base_update = Scene_Base.prototype.update;
+    Scene_Base.prototype.update = function () {
+        _Scene_Base_update.call(this);
+        // Keep the layer above anything the scene added after it started
+        getToastLayer().attachTo(this);
+    };
+
+    const _Scene_Map_updateMainMultiply =
+        Scene_Map.prototype.updateMainMultiply;
+    Scene_Map.prototype.updateMainMultiply = function () {
+        // Fast-forward runs the map twice per frame, so the queue and the
+        // schedules get an extra tick as well
+        if (this.isFastForward()) {
+            updateToastSchedules();
+            updateToastQueue();
+        }
+        _Scene_Map_updateMainMultiply.call(this);
+    };
+
+    const _SceneManager_onSceneTerminate = SceneManager.onSceneTerminate;
+    SceneManager.onSceneTerminate = function () {
+        // Detach before the old scene is destroyed along with its children
+        const layer = getToastLayer();
+        layer.removeFinishedToasts();
+        layer.detachFrom(this._scene);
+        _SceneManager_onSceneTerminate.call(this);
+    };
+
+    const _DataManager_createGameObjects = DataManager.createGameObjects;
+    DataManager.createGameObjects = function () {
+        _DataManager_createGameObjects.call(this);
+        // A new or loaded game starts without the toasts of the previous one
+        toastQueue.forEach((toast) => resolveToast(toast, "dismissed"));
+        toastQueue.length = 0;
+        queueWaits = {};
+        getToastLayer().releaseAllToasts();
+    };
+
+    const _SceneManager_updateInputData = SceneManager.updateInputData;
+    SceneManager.updateInputData = function () {
+        _SceneManager_updateInputData.call(this);
+        updateToastTouch();
+    };
+
+    // Holding a press on a toast should not advance a message or
+    // fast-forward an event underneath it
+    const _TouchInput_isRepeated = TouchInput.isRepeated;
+    TouchInput.isRepeated = function () {
+        return !toastPressed && _TouchInput_isRepeated.call(this);
+    };
+
+    const _TouchInput_isLongPressed = TouchInput.isLongPressed;
+    TouchInput.isLongPressed = function () {
+        return !toastPressed && _TouchInput_isLongPressed.call(this);
+    };
+
+    const _Scene_Map_isMapTouchOk = Scene_Map.prototype.isMapTouchOk;
+    Scene_Map.prototype.isMapTouchOk = function () {
+        // A press that started on a toast should not also move the player
+        return _Scene_Map_isMapTouchOk.call(this) && !toastPressed;
+    };
+
+    const _SceneManager_snap = SceneManager.snap;
+    SceneManager.snap = function () {
+        // Keep toasts out of menu backgrounds and battle snapshots
+        const layer = getToastLayer();
+        const visible = layer.visible;
+        layer.visible = false;
+        const bitmap = _SceneManager_snap.call(this);
+        layer.visible = visible;
+        return bitmap;
+    };
+
+    //------------------------------------------------------------------------
+    // Scheduled Toasts
+    //------------------------------------------------------------------------
+
+    function updateToastSchedules() {
+        const scene = SceneManager._scene;
+        const inMenu = scene instanceof Scene_MenuBase;
+        if (
+            $gameSystem &&
+            (inMenu ||
+                scene instanceof Scene_Map ||
+                scene instanceof Scene_Battle)
+        ) {
+            $gameSystem.updateToastSchedules(inMenu);
+        }
+    }
+
+    Game_System.prototype.toastSchedules = function () {
+        if (!this._toastSchedules) {
+            this._toastSchedules = [];
+        }
+        return this._toastSchedules;
+    };
+
+    Game_System.prototype.scheduleToast = function (id, text, options = {}) {
+        const { delay, interval, repeat, pauseInMenus, ...toastOptions } =
+            options;
+        if (id) {
+            this.cancelScheduledToast(id);
+        }
+        this.toastSchedules().push({
+            id: String(id || ""),
+            text: String(text || ""),
+            options: toastOptions,
+            wait: Math.max(0, Math.round(Number(delay || 0))),
+            interval: Math.max(0, Math.round(Number(interval || 0))),
+            repeat: Number(repeat || 0),
+            pauseInMenus: pauseInMenus !== false,
+        });
+    };
+
+    Game_System.prototype.cancelScheduledToast = function (id) {
+        const schedules = this.toastSchedules();
+        const index = schedules.findIndex(
+            (schedule) => schedule.id === String(id)
+        );
+        if (index >= 0) {
+            schedules.splice(index, 1);
+        }
+        return index >= 0;
+    };
+
+    Game_System.prototype.updateToastSchedules = function (inMenu) {
+        for (const schedule of this.toastSchedules().clone()) {
+            if (inMenu && schedule.pauseInMenus) continue;
+            schedule.wait = Math.max(schedule.wait - 1, 0);
+            if (schedule.wait > 0) continue;
+            showToast(schedule.text, schedule.options);
+            if (schedule.interval > 0 && schedule.repeat !== 0) {
+                schedule.wait = schedule.interval;
+                schedule.repeat = Math.max(-1, schedule.repeat - 1);
+            } else {
+                this.toastSchedules().remove(schedule);
+            }
+        }
+    };
+
+    //------------------------------------------------------------------------
+    // Toast Log
+    //------------------------------------------------------------------------
+
+    Game_System.prototype.toastHistory = function () {
+        if (!this._toastHistory) {
+            this._toastHistory = [];
+        }
+        return this._toastHistory;
+    };
+
+    // Returns the new entry so later merges can update its count.
+    Game_System.prototype.addToastHistory = function (toast) {
+        if (HISTORY_SIZE <= 0) return null;
+        const history = this.toastHistory();
+        const entry = {
+            text: toast.text,
+            type: toast.type,
+            count: toast.mergeCount,
+            playtime: this.playtime(),
+            mapName: currentMapName(),
+        };
+        history.push(entry);
+        if (history.length > HISTORY_SIZE) {
+            history.splice(0, history.length - HISTORY_SIZE);
+        }
+        return entry;
+    };
+
+    function currentMapName() {
+        const mapId = $gameMap.mapId();
+        if (mapId <= 0) return "";
+        const info = $dataMapInfos[mapId];
+        return $gameMap.displayName() || (info ? info.name : "");
+    }
+
+    function playtimeText(seconds) {
+        const hour = Math.floor(seconds / 60 / 60);
+        const min = Math.floor(seconds / 60) % 60;
+        const sec = seconds % 60;
+        return hour.padZero(2) + ":" + min.padZero(2) + ":" + sec.padZero(2);
+    }
+
+    function Scene_ToastLog() {
+        this.initialize(...arguments);
+    }
+
+    Scene_ToastLog.prototype = Object.create(Scene_MenuBase.prototype);
+    Scene_ToastLog.prototype.constructor = Scene_ToastLog;
+
+    Scene_ToastLog.prototype.create = function () {
+        Scene_MenuBase.prototype.create.call(this);
+        this.createFilterWindow();
+        this.createLogWindow();
+    };
+
+    Scene_ToastLog.prototype.helpAreaHeight = function () {
+        return 0;
+    };
+
+    Scene_ToastLog.prototype.createFilterWindow = function () {
+        const rect = this.filterWindowRect();
+        this._filterWindow = new Window_ToastLogFilter(rect);
+        this._filterWindow.setHandler("ok", this.onFilterOk.bind(this));
+        this._filterWindow.setHandler("cancel", this.popScene.bind(this));
+        this.addWindow(this._filterWindow);
+    };
+
+    Scene_ToastLog.prototype.filterWindowRect = function () {
+        const wx = 0;
+        const wy = this.mainAreaTop();
+        const ww = Graphics.boxWidth;
+        const wh = this.calcWindowHeight(1, true);
+        return new Rectangle(wx, wy, ww, wh);
+    };
+
+    Scene_ToastLog.prototype.createLogWindow = function () {
+        const rect = this.logWindowRect();
+        this._logWindow = new Window_ToastLog(rect);
+        this._logWindow.setHandler("cancel", this.onLogCancel.bind(this));
+        this.addWindow(this._logWindow);
+        this._filterWindow.setLogWindow(this._logWindow);
+    };
+
+    Scene_ToastLog.prototype.logWindowRect = function () {
+        const wx = 0;
+        const wy = this._filterWindow.y + this._filterWindow.height;
+        const ww = Graphics.boxWidth;
+        const wh = this.mainAreaBottom() - wy;
+        return new Rectangle(wx, wy, ww, wh);
+    };
+
+    Scene_ToastLog.prototype.onFilterOk = function () {
+        if (this._logWindow.maxItems() > 0) {
+            this._logWindow.activate();
+            this._logWindow.select(0);
+        } else {
+            this._filterWindow.activate();
+        }
+    };
+
+    Scene_ToastLog.prototype.onLogCancel = function () {
+        this._logWindow.deselect();
+        this._filterWindow.activate();
+    };
+
+    function Window_ToastLogFilter() {
+        this.initialize(...arguments);
+    }
+
+    Window_ToastLogFilter.prototype = Object.create(
+        Window_HorzCommand.prototype
+    );
+    Window_ToastLogFilter.prototype.constructor = Window_ToastLogFilter;
+
+    Window_ToastLogFilter.prototype.maxCols = function () {
+        return Math.min(Object.keys(TOAST_TYPES).length + 1, 5);
+    };
+
+    Window_ToastLogFilter.prototype.update = function () {
+        Window_HorzCommand.prototype.update.call(this);
+        if (this._logWindow) {
+            this._logWindow.setFilter(this.currentSymbol());
+        }
+    };
 
-    //------------------------------------------------------------------------
-    // Plugin Command Registration
-    //------------------------------------------------------------------------
+    Window_ToastLogFilter.prototype.makeCommandList = function () {
+        this.addCommand(LOG_ALL_TEXT, "all");
+        for (const name of Object.keys(TOAST_TYPES)) {
+            const label = name.charAt(0).toUpperCase() + name.slice(1);
+            this.addCommand(label, name);
+        }
+    };
 
-    PluginManager.registerCommand(PLUGIN_NAME, "ShowToast", (args) => {
-        const text = args.text;
-        showToast(text);
-    });
+    Window_ToastLogFilter.prototype.setLogWindow = function (logWindow) {
+        this._logWindow = logWindow;
+    };
+
+    function Window_ToastLog() {
+        this.initialize(...arguments);
+    }
+
+    Window_ToastLog.prototype = Object.create(Window_Selectable.prototype);
+    Window_ToastLog.prototype.constructor = Window_ToastLog;
+
+    Window_ToastLog.prototype.initialize = function (rect) {
+        Window_Selectable.prototype.initialize.call(this, rect);
+        this._filter = "all";
+        this._data = [];
+        this.refresh();
+    };
+
+    Window_ToastLog.prototype.setFilter = function (filter) {
+        if (this._filter !== filter) {
+            this._filter = filter;
+            this.refresh();
+            this.scrollTo(0, 0);
+        }
+    };
+
+    Window_ToastLog.prototype.maxItems = function () {
+        return this._data ? this._data.length : 0;
+    };
+
+    Window_ToastLog.prototype.itemHeight = function () {
+        return this.lineHeight() * 2 + 8;
+    };
+
+    Window_ToastLog.prototype.makeItemList = function () {
+        this._data = $gameSystem
+            .toastHistory()
+            .filter(
+                (entry) =>
+                    this._filter === "all" ||
+                    toastType(entry.type).name === this._filter
+            )
+            .reverse();
+    };
+
+    Window_ToastLog.prototype.refresh = function () {
+        this.makeItemList();
+        Window_Selectable.prototype.refresh.call(this);
+    };
+
+    Window_ToastLog.prototype.drawItem = function (index) {
+        const entry = this._data[index];
+        const type = toastType(entry.type);
+        const rect = this.itemLineRect(index);
+        const lineHeight = this.lineHeight();
+        const iconWidth = type.iconIndex ? ImageManager.iconWidth + 4 : 0;
+        const countText = entry.count > 1 ? "×" + entry.count : "";
+        const countWidth = countText ? this.textWidth(countText) + 8 : 0;
+        const text = String(entry.text).replace(/\n/g, " ");
+        if (type.iconIndex) {
+            this.drawIcon(type.iconIndex, rect.x, rect.y + 2);
+        }
+        this.drawTextEx(
+            `\\C[${type.textColor}]${text}`,
+            rect.x + iconWidth,
+            rect.y,
+            rect.width - iconWidth - countWidth
+        );
+        this.resetTextColor();
+        if (countText) {
+            this.drawText(countText, rect.x, rect.y, rect.width, "right");
+        }
+        this.changeTextColor(ColorManager.systemColor());
+        this.drawText(
+            playtimeText(entry.playtime),
+            rect.x,
+            rect.y + lineHeight,
+            rect.width / 2
+        );
+        this.drawText(
+            entry.mapName,
+            rect.x,
+            rect.y + lineHeight,
+            rect.width,
+            "right"
+        );
+        this.resetTextColor();
+    };
 
     //------------------------------------------------------------------------
-    // Toast Notification System
+    // Character Popups
     //------------------------------------------------------------------------
+    // Requested through $gameTemp and created by Spriteset_Map, the same way
+    // the engine handles balloon icons.
 
-    function Window_Toast() {
+    Game_Temp.prototype.requestToastPopup = function (target, text, type) {
+        if (!this._toastPopupQueue) {
+            this._toastPopupQueue = [];
+        }
+        this._toastPopupQueue.push({ target, text, type });
+    };
+
+    Game_Temp.prototype.retrieveToastPopup = function () {
+        return this._toastPopupQueue ? this._toastPopupQueue.shift() : null;
+    };
+
+    function popupTarget(target) {
+        if (target instanceof Game_Character) return target;
+        const id = Number(target);
+        if (id < 0) return $gamePlayer;
+        return id > 0 ? $gameMap.event(id) : null;
+    }
+
+    function showPopup(text, target, options = {}) {
+        const character = popupTarget(target);
+        if (character && text) {
+            $gameTemp.requestToastPopup(
+                character,
+                String(text),
+                toastType(options.type).name
+            );
+        }
+    }
+
+    function Window_ToastPopup() {
         this.initialize(...arguments);
     }
 
-    Window_Toast.prototype = Object.create(Window_Base.prototype);
-    Window_Toast.prototype.constructor = Window_Toast;
+    Window_ToastPopup.prototype = Object.create(Window_Base.prototype);
+    Window_ToastPopup.prototype.constructor = Window_ToastPopup;
 
-    Window_Toast.prototype.initialize = function () {
+    Window_ToastPopup.prototype.initialize = function (request, targetSprite) {
+        this._toastType = toastType(request.type);
         Window_Base.prototype.initialize.call(this, new Rectangle(0, 0, 1, 1));
-        this.opacity = 255;
+        this._target = request.target;
+        this._targetSprite = targetSprite;
+        this._duration = POPUP_DURATION;
+        this.z = 9;
+        this.opacity = 0;
         this.contentsOpacity = 0;
-        this.count = 0;
-        this.slideY = 0;
-        this.hide();
+        this.refresh(request.text);
+        this.updatePosition();
     };
 
-    Window_Toast.prototype.update = function () {
+    Window_ToastPopup.prototype.updatePadding = function () {
+        this.padding = 8;
+    };
+
+    Window_ToastPopup.prototype.resetFontSettings = function () {
+        Window_Base.prototype.resetFontSettings.call(this);
+        this.contents.fontSize = POPUP_FONT_SIZE;
+    };
+
+    Window_ToastPopup.prototype.lineHeight = function () {
+        return POPUP_FONT_SIZE + 8;
+    };
+
+    Window_ToastPopup.prototype.updateTone = function () {
+        Window_Toast.prototype.updateTone.call(this);
+    };
+
+    Window_ToastPopup.prototype.resetTextColor = function () {
+        Window_Toast.prototype.resetTextColor.call(this);
+    };
+
+    Window_ToastPopup.prototype.refresh = function (text) {
+        const type = this._toastType;
+        const iconText = type.iconIndex > 0 ? `\\I[${type.iconIndex}]` : "";
+        const lineText = iconText + text.replace(/\n/g, " ");
+        this.windowskin = ImageManager.loadSystem(type.windowSkin || "Window");
+        this.updateTone();
+        this.resetFontSettings();
+        const width = this.textSizeEx(lineText).width;
+        this.width = width + this.padding * 2 + this.itemPadding() * 2;
+        this.height = this.lineHeight() + this.padding * 2;
+        this.createContents();
+        this.drawTextEx(lineText, this.itemPadding(), 0);
+    };
+
+    Window_ToastPopup.prototype.update = function () {
         Window_Base.prototype.update.call(this);
-        if (this.count > 0) {
-            this.count--;
-            this.contentsOpacity = Math.min(this.contentsOpacity + 16, 255);
-            this.opacity = Math.min(this.opacity + 16, 255);
-            if (this.slideY > 0) {
-                this.slideY = Math.max(0, this.slideY - SLIDE_SPEED);
-                this.updatePosition();
+        if (this._duration > 0) {
+            this._duration--;
+            this.updatePosition();
+        }
+    };
+
+    Window_ToastPopup.prototype.updatePosition = function () {
+        const elapsed = POPUP_DURATION - this._duration;
+        const progress = Window_Toast.easings.easeOutCubic(
+            elapsed / POPUP_DURATION
+        );
+        const fadeIn = Math.min(elapsed / 8, 1);
+        const fadeOut = Math.min(this._duration / (POPUP_DURATION / 3), 1);
+        const sprite = this._targetSprite;
+        this.x = Math.round(sprite.x - this.width / 2);
+        this.y = Math.round(
+            sprite.y - sprite.height - this.height - POPUP_RISE * progress
+        );
+        this.opacity = 255 * Math.min(fadeIn, fadeOut);
+        this.contentsOpacity = this.opacity;
+    };
+
+    Window_ToastPopup.prototype.isPlaying = function () {
+        return this._duration > 0;
+    };
+
+    const _Spriteset_Map_update = Spriteset_Map.prototype.update;
+    Spriteset_Map.prototype.update = function () {
+        _Spriteset_Map_update.call(this);
+        this.updateToastPopups();
+    };
+
+    Spriteset_Map.prototype.updateToastPopups = function () {
+        if (!this._toastPopups) {
+            this._toastPopups = [];
+        }
+        for (const popup of this._toastPopups.clone()) {
+            if (!popup.isPlaying()) {
+                this.removeToastPopup(popup);
             }
-            if (this.count === 0) {
-                this.startFadeOut();
+        }
+        this.processToastPopupRequests();
+    };
+
+    Spriteset_Map.prototype.processToastPopupRequests = function () {
+        for (;;) {
+            const request = $gameTemp.retrieveToastPopup();
+            if (request) {
+                this.createToastPopup(request);
+            } else {
+                break;
             }
-        } else if (this.contentsOpacity > 0) {
-            this.startFadeOut();
         }
     };
 
-    Window_Toast.prototype.updatePosition = function () {
-        const baseY =
-            TOAST_POSITION === "Top" ? 0 : Graphics.height - this.height - 100;
-        const currentToasts = SceneManager._scene._activeToasts;
-        const myIndex = currentToasts.indexOf(this);
-        let totalOffset = 0;
+    Spriteset_Map.prototype.createToastPopup = function (request) {
+        const targetSprite = this.findTargetSprite(request.target);
+        if (targetSprite) {
+            const popup = new Window_ToastPopup(request, targetSprite);
+            this._toastPopups.push(popup);
+            this._effectsContainer.addChild(popup);
+        }
+    };
 
-        for (let i = 0; i < myIndex; i++) {
-            if (currentToasts[i] && currentToasts[i].visible) {
-                totalOffset += currentToasts[i].height;
+    Spriteset_Map.prototype.removeToastPopup = function (popup) {
+        this._toastPopups.remove(popup);
+        this._effectsContainer.removeChild(popup);
+        popup.destroy();
+    };
+
+    //------------------------------------------------------------------------
+    // Event Toasts
+    //------------------------------------------------------------------------
+
+    const TOAST_TAG_PATTERN = /<(toast\w*)\s*(?::([^>]*))?>/gi;
+
+    function parseToastTags(text, tags) {
+        for (const match of String(text || "").matchAll(TOAST_TAG_PATTERN)) {
+            tags[match[1].toLowerCase()] = String(match[2] || "").trim();
+        }
+        return tags;
+    }
+
+    const _Game_Event_setupPage = Game_Event.prototype.setupPage;
+    Game_Event.prototype.setupPage = function () {
+        _Game_Event_setupPage.call(this);
+        this._toastTrigger = this.parseToastTrigger();
+    };
+
+    // Erased events and events without an active page show no toast.
+    Game_Event.prototype.parseToastTrigger = function () {
+        if (this._erased || this._pageIndex < 0) return null;
+        const tags = parseToastTags(this.event().note, {});
+        const comments = this.list()
+            .filter((command) => [108, 408].includes(command.code))
+            .map((command) => command.parameters[0])
+            .join("\n");
+        parseToastTags(comments, tags);
+        if (!tags.toast) return null;
+        const range = Number(tags.toastrange || 0);
+        const trigger = String(tags.toasttrigger || "").toLowerCase();
+        return {
+            text: tags.toast,
+            trigger: trigger || (range > 0 ? "range" : "face"),
+            range,
+            type: tags.toasttype || "",
+            channel: tags.toastchannel || "",
+            repeat: "toastrepeat" in tags,
+            cooldown: Number(tags.toastcooldown || 0),
+            selfSwitch: String(tags.toastselfswitch || "").toUpperCase(),
+        };
+    };
+
+    const _Game_Event_update = Game_Event.prototype.update;
+    Game_Event.prototype.update = function () {
+        _Game_Event_update.call(this);
+        this.updateToastTrigger();
+    };
+
+    // Fires on entering the trigger area, so standing next to an event does
+    // not raise the same toast every frame.
+    Game_Event.prototype.updateToastTrigger = function () {
+        const trigger = this._toastTrigger;
+        if (!trigger) return;
+        const inside = this.isToastTriggered(trigger);
+        if (inside && !this._toastInside && this.canShowToast(trigger)) {
+            this.showEventToast(trigger);
+        }
+        this._toastInside = inside;
+    };
+
+    Game_Event.prototype.isToastTriggered = function (trigger) {
+        const player = $gamePlayer;
+        switch (trigger.trigger) {
+            case "range":
+                return (
+                    $gameMap.distance(player.x, player.y, this.x, this.y) <=
+                    trigger.range
+                );
+            case "touch":
+                return this.pos(player.x, player.y);
+            case "face": {
+                const direction = player.direction();
+                const x = $gameMap.roundXWithDirection(player.x, direction);
+                const y = $gameMap.roundYWithDirection(player.y, direction);
+                return this.pos(x, y);
             }
+            default:
+                return false;
         }
+    };
 
-        let targetY =
-            TOAST_POSITION === "Top"
-                ? baseY + totalOffset + this.slideY
-                : baseY - totalOffset + this.slideY;
-        this.y = targetY;
+    Game_Event.prototype.toastSelfSwitchKey = function (trigger) {
+        return [this._mapId, this._eventId, trigger.selfSwitch];
     };
 
-    Window_Toast.prototype.startFadeOut = function () {
-        this.contentsOpacity = Math.max(this.contentsOpacity - 16, 0);
-        this.opacity = Math.max(this.opacity - 16, 0);
-        if (this.contentsOpacity === 0) {
-            this.hide();
+    // Tracked per page, so a later page can show its own toast once.
+    Game_Event.prototype.toastKey = function () {
+        return [this._mapId, this._eventId, this._pageIndex].join();
+    };
+
+    Game_Event.prototype.canShowToast = function (trigger) {
+        if (trigger.selfSwitch && !trigger.repeat) {
+            return !$gameSelfSwitches.value(this.toastSelfSwitchKey(trigger));
         }
+        const shownAt = $gameSystem.eventToastTime(this.toastKey());
+        if (shownAt === undefined) return true;
+        return (
+            trigger.repeat && Graphics.frameCount - shownAt >= trigger.cooldown
+        );
     };
 
-    Window_Toast.prototype.showMessage = function (text) {
-        if (ENABLE_SOUND && SOUND_NAME) {
-            AudioManager.playSe({
-                name: SOUND_NAME,
-                volume: SOUND_VOLUME,
-                pitch: SOUND_PITCH,
-                pan: SOUND_PAN,
-            });
+    Game_Event.prototype.showEventToast = function (trigger) {
+        $gameSystem.setEventToastTime(this.toastKey(), Graphics.frameCount);
+        if (trigger.selfSwitch) {
+            $gameSelfSwitches.setValue(this.toastSelfSwitchKey(trigger), true);
         }
+        showToast(trigger.text, {
+            type: trigger.type,
+            channel: trigger.channel,
+        });
+    };
 
-        const maxWidth = Math.floor(Graphics.width * MAX_WIDTH_PERCENT);
-        const padding = this.padding * 2;
+    // Frame count of the last event toast per event page. Graphics.frameCount
+    // is the play time in frames and is restored when a save is loaded.
+    Game_System.prototype.eventToastTimes = function () {
+        if (!this._eventToastTimes) {
+            this._eventToastTimes = {};
+        }
+        return this._eventToastTimes;
+    };
 
-        const processedText = this.convertEscapeCharacters(text);
-        const lines = [];
-        const words = processedText.split(" ");
-        let currentLine = words[0];
-
-        for (let i = 1; i < words.length; i++) {
-            const testLine = currentLine + " " + words[i];
-            if (this.textSizeEx(testLine).width > maxWidth - padding - 32) {
-                lines.push(currentLine);
-                currentLine = words[i];
-            } else {
-                currentLine = testLine;
+    Game_System.prototype.eventToastTime = function (key) {
+        return this.eventToastTimes()[key];
+    };
+
+    Game_System.prototype.setEventToastTime = function (key, time) {
+        this.eventToastTimes()[key] = time;
+    };
+
+    //------------------------------------------------------------------------
+    // Achievements
+    //------------------------------------------------------------------------
+
+    function findAchievement(id) {
+        return ACHIEVEMENTS.find((achievement) => achievement.id === id);
+    }
+
+    function isAchievementConditionMet(achievement) {
+        const { switchId, variableId, threshold } = achievement;
+        if (switchId <= 0 && variableId <= 0) return false;
+        if (switchId > 0 && !$gameSwitches.value(switchId)) return false;
+        return variableId <= 0 || $gameVariables.value(variableId) >= threshold;
+    }
+
+    function checkAchievements() {
+        if (!$gameSystem) return;
+        for (const achievement of ACHIEVEMENTS) {
+            if (isAchievementConditionMet(achievement)) {
+                $gameSystem.unlockAchievement(achievement.id);
             }
         }
-        lines.push(currentLine);
+    }
 
-        if (lines.length > MAX_LINES) {
-            const excessLines = lines.splice(MAX_LINES - 1);
-            lines[MAX_LINES - 1] = excessLines[0] + "...";
+    function showAchievementToast(achievement) {
+        const icon = achievement.iconIndex;
+        showToast(
+            formatTemplate(ACHIEVEMENT_TEMPLATE, {
+                name: achievement.name,
+                icon: icon > 0 ? `\\I[${icon}]` : "",
+                description: achievement.description,
+            }),
+            { type: ACHIEVEMENT_TYPE, channel: ACHIEVEMENT_CHANNEL }
+        );
+    }
+
+    // Unlocked achievement IDs with the play time they were unlocked at
+    Game_System.prototype.achievements = function () {
+        if (!this._achievements) {
+            this._achievements = {};
         }
+        return this._achievements;
+    };
 
-        const width = Math.min(
-            maxWidth,
-            Math.max(...lines.map((line) => this.textSizeEx(line).width)) +
-                padding +
-                32
+    Game_System.prototype.isAchievementUnlocked = function (id) {
+        return (
+            id in this.achievements() ||
+            (GLOBAL_ACHIEVEMENTS && globalAchievements.has(id))
         );
-        const height =
-            this.lineHeight() * Math.min(lines.length, MAX_LINES) + padding;
+    };
 
-        this.width = width;
-        this.height = height;
-        this.x = (Graphics.width - width) / 2;
-        this.y = TOAST_POSITION === "Top" ? 0 : Graphics.height - height - 100;
+    // Returns true when the achievement was not unlocked before, in this save
+    // or (with Share Across Saves) in any other.
+    Game_System.prototype.unlockAchievement = function (id) {
+        const achievement = findAchievement(String(id || ""));
+        if (!achievement || achievement.id in this.achievements()) {
+            return false;
+        }
+        const isNew = !this.isAchievementUnlocked(achievement.id);
+        this.achievements()[achievement.id] = this.playtime();
+        if (GLOBAL_ACHIEVEMENTS && isNew) {
+            globalAchievements.add(achievement.id);
+            ConfigManager.save();
+        }
+        if (isNew) {
+            showAchievementToast(achievement);
+        }
+        return isNew;
+    };
 
-        this.createContents();
-        this.count = DISPLAY_TIME;
-        this.show();
-        this.contents.clear();
+    const _Game_Switches_setValue = Game_Switches.prototype.setValue;
+    Game_Switches.prototype.setValue = function (switchId, value) {
+        _Game_Switches_setValue.call(this, switchId, value);
+        checkAchievements();
+    };
 
-        lines.forEach((line, index) => {
-            if (index < MAX_LINES) {
-                const lineWidth = this.textSizeEx(line).width;
-                const x = Math.max(0, (width - padding - lineWidth) / 2);
-                this.drawTextEx(line, x, this.lineHeight() * index);
-            }
-        });
+    const _Game_Variables_setValue = Game_Variables.prototype.setValue;
+    Game_Variables.prototype.setValue = function (variableId, value) {
+        _Game_Variables_setValue.call(this, variableId, value);
+        checkAchievements();
     };
 
-    function processToastQueue() {
-        if (isProcessingQueue || toastQueue.length === 0) return;
+    const _ConfigManager_makeData = ConfigManager.makeData;
+    ConfigManager.makeData = function () {
+        const config = _ConfigManager_makeData.call(this);
+        if (GLOBAL_ACHIEVEMENTS) {
+            config.toastAchievements = [...globalAchievements];
+        }
+        return config;
+    };
+
+    const _ConfigManager_applyData = ConfigManager.applyData;
+    ConfigManager.applyData = function (config) {
+        _ConfigManager_applyData.call(this, config);
+        if (Array.isArray(config.toastAchievements)) {
+            config.toastAchievements.forEach((id) =>
+                globalAchievements.add(id)
+            );
+        }
+    };
 
-        isProcessingQueue = true;
-        const message = toastQueue.shift();
+    function Scene_Achievements() {
+        this.initialize(...arguments);
+    }
+
+    Scene_Achievements.prototype = Object.create(Scene_MenuBase.prototype);
+    Scene_Achievements.prototype.constructor = Scene_Achievements;
+
+    Scene_Achievements.prototype.create = function () {
+        Scene_MenuBase.prototype.create.call(this);
+        this.createHelpWindow();
+        this.createListWindow();
+    };
+
+    Scene_Achievements.prototype.createListWindow = function () {
+        const rect = this.listWindowRect();
+        this._listWindow = new Window_AchievementList(rect);
+        this._listWindow.setHelpWindow(this._helpWindow);
+        this._listWindow.setHandler("cancel", this.popScene.bind(this));
+        this.addWindow(this._listWindow);
+        this._listWindow.activate();
+        this._listWindow.select(0);
+    };
+
+    Scene_Achievements.prototype.listWindowRect = function () {
+        const wx = 0;
+        const wy = this.mainAreaTop();
+        const ww = Graphics.boxWidth;
+        const wh = this.mainAreaHeight();
+        return new Rectangle(wx, wy, ww, wh);
+    };
+
+    function Window_AchievementList() {
+        this.initialize(...arguments);
+    }
+
+    Window_AchievementList.prototype = Object.create(
+        Window_Selectable.prototype
+    );
+    Window_AchievementList.prototype.constructor = Window_AchievementList;
+
+    Window_AchievementList.prototype.initialize = function (rect) {
+        Window_Selectable.prototype.initialize.call(this, rect);
+        this.refresh();
+    };
+
+    Window_AchievementList.prototype.maxItems = function () {
+        return ACHIEVEMENTS.length;
+    };
+
+    Window_AchievementList.prototype.isRevealed = function (achievement) {
+        return (
+            !achievement.hidden ||
+            $gameSystem.isAchievementUnlocked(achievement.id)
+        );
+    };
 
-        if (!SceneManager._scene._activeToasts) {
-            SceneManager._scene._activeToasts = [];
+    Window_AchievementList.prototype.drawItem = function (index) {
+        const achievement = ACHIEVEMENTS[index];
+        const rect = this.itemLineRect(index);
+        const revealed = this.isRevealed(achievement);
+        const iconWidth = ImageManager.iconWidth + 4;
+        const time = $gameSystem.achievements()[achievement.id];
+        this.changePaintOpacity(
+            $gameSystem.isAchievementUnlocked(achievement.id)
+        );
+        if (revealed && achievement.iconIndex > 0) {
+            this.drawIcon(achievement.iconIndex, rect.x, rect.y + 2);
+        }
+        this.drawText(
+            revealed ? achievement.name : HIDDEN_ACHIEVEMENT_TEXT,
+            rect.x + iconWidth,
+            rect.y,
+            rect.width - iconWidth
+        );
+        if (time !== undefined) {
+            this.drawText(
+                playtimeText(time),
+                rect.x,
+                rect.y,
+                rect.width,
+                "right"
+            );
         }
+        this.changePaintOpacity(true);
+    };
 
-        SceneManager._scene._activeToasts =
-            SceneManager._scene._activeToasts.filter(
-                (toast) => toast && toast.visible && toast.contentsOpacity > 0
+    Window_AchievementList.prototype.updateHelp = function () {
+        const achievement = ACHIEVEMENTS[this.index()];
+        if (achievement) {
+            this._helpWindow.setText(
+                this.isRevealed(achievement)
+                    ? achievement.description
+                    : HIDDEN_ACHIEVEMENT_TEXT
             );
+        } else {
+            this._helpWindow.clear();
+        }
+    };
 
-        if (SceneManager._scene._activeToasts.length >= MAX_TOASTS) {
-            const oldestToast = SceneManager._scene._activeToasts.pop();
-            if (oldestToast) {
-                oldestToast.count = 0;
-            }
+    //------------------------------------------------------------------------
+    // Menu Commands
+    //------------------------------------------------------------------------
+
+    const _Window_MenuCommand_addOriginalCommands =
+        Window_MenuCommand.prototype.addOriginalCommands;
+    Window_MenuCommand.prototype.addOriginalCommands = function () {
+        _Window_MenuCommand_addOriginalCommands.call(this);
+        if (LOG_MENU_COMMAND) {
+            this.addCommand(LOG_MENU_TEXT, "toastLog", true);
+        }
+        if (ACHIEVEMENT_MENU_COMMAND) {
+            this.addCommand(ACHIEVEMENT_MENU_TEXT, "achievements", true);
         }
+    };
 
-        const toast = new Window_Toast();
+    const _Scene_Menu_createCommandWindow =
+        Scene_Menu.prototype.createCommandWindow;
+    Scene_Menu.prototype.createCommandWindow = function () {
+        _Scene_Menu_createCommandWindow.call(this);
+        this._commandWindow.setHandler(
+            "toastLog",
+            this.commandToastLog.bind(this)
+        );
+        this._commandWindow.setHandler(
+            "achievements",
+            this.commandAchievements.bind(this)
+        );
+    };
 
-        SceneManager._scene.addWindow(toast);
-        SceneManager._scene._activeToasts.unshift(toast);
-        toast.showMessage(message);
+    Scene_Menu.prototype.commandToastLog = function () {
+        SceneManager.push(Scene_ToastLog);
+    };
 
-        SceneManager._scene._activeToasts.forEach((t, index) => {
-            if (t && t.visible && index > 0) {
-                t.slideY = 50;
-                t.updatePosition();
-            }
-        });
+    Scene_Menu.prototype.commandAchievements = function () {
+        SceneManager.push(Scene_Achievements);
+    };
+
+    //------------------------------------------------------------------------
+    // Automatic Toasts
+    //------------------------------------------------------------------------
 
-        setTimeout(() => {
-            isProcessingQueue = false;
-            processToastQueue();
-        }, 500);
+    let autoToastLock = 0;
+
+    function withoutAutoToasts(callback) {
+        autoToastLock++;
+        try {
+            return callback();
+        } finally {
+            autoToastLock--;
+        }
     }
 
-    function showToast(message) {
-        toastQueue.push(message);
-        processToastQueue();
+    function formatTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) =>
+            key in values ? String(values[key]) : match
+        );
     }
 
+    function showAutoToast(setting, values) {
+        if (!setting.enabled || !setting.template || autoToastLock > 0) {
+            return;
+        }
+        if (
+            setting.suppressSwitch > 0 &&
+            $gameSwitches.value(setting.suppressSwitch)
+        ) {
+            return;
+        }
+        showToast(formatTemplate(setting.template, values), {
+            type: setting.type,
+            channel: setting.channel,
+        });
+    }
+
+    function itemValues(item, values) {
+        return {
+            name: item.name,
+            icon: item.iconIndex > 0 ? `\\I[${item.iconIndex}]` : "",
+            ...values,
+        };
+    }
+
+    const _Game_Party_gainItem = Game_Party.prototype.gainItem;
+    Game_Party.prototype.gainItem = function (item, amount, includeEquip) {
+        const before = this.numItems(item);
+        _Game_Party_gainItem.call(this, item, amount, includeEquip);
+        if (!this.itemContainer(item)) return;
+        const diff = this.numItems(item) - before;
+        if (diff > 0) {
+            showAutoToast(AUTO_ITEM_GAIN, itemValues(item, { amount: diff }));
+        } else if (diff < 0) {
+            showAutoToast(AUTO_ITEM_LOSS, itemValues(item, { amount: -diff }));
+        }
+    };
+
+    const _Game_Party_consumeItem = Game_Party.prototype.consumeItem;
+    Game_Party.prototype.consumeItem = function (item) {
+        withoutAutoToasts(() => _Game_Party_consumeItem.call(this, item));
+    };
+
+    const _Game_Party_gainGold = Game_Party.prototype.gainGold;
+    Game_Party.prototype.gainGold = function (amount) {
+        const before = this.gold();
+        _Game_Party_gainGold.call(this, amount);
+        const diff = this.gold() - before;
+        const currency = TextManager.currencyUnit;
+        if (diff > 0) {
+            showAutoToast(AUTO_GOLD_GAIN, { amount: diff, currency });
+        } else if (diff < 0) {
+            showAutoToast(AUTO_GOLD_LOSS, { amount: -diff, currency });
+        }
+    };
+
+    const _Game_Actor_setup = Game_Actor.prototype.setup;
+    Game_Actor.prototype.setup = function (actorId) {
+        withoutAutoToasts(() => _Game_Actor_setup.call(this, actorId));
+    };
+
+    const _Game_Actor_changeClass = Game_Actor.prototype.changeClass;
+    Game_Actor.prototype.changeClass = function (classId, keepExp) {
+        withoutAutoToasts(() =>
+            _Game_Actor_changeClass.call(this, classId, keepExp)
+        );
+    };
+
+    const _Game_Actor_tradeItemWithParty =
+        Game_Actor.prototype.tradeItemWithParty;
+    Game_Actor.prototype.tradeItemWithParty = function (newItem, oldItem) {
+        return withoutAutoToasts(() =>
+            _Game_Actor_tradeItemWithParty.call(this, newItem, oldItem)
+        );
+    };
+
+    const _Game_Actor_changeExp = Game_Actor.prototype.changeExp;
+    Game_Actor.prototype.changeExp = function (exp, show) {
+        // Shown before the original so it comes ahead of level up toasts
+        const diff = Math.max(exp, 0) - this.currentExp();
+        if (diff > 0) {
+            showAutoToast(AUTO_EXP, { actor: this.name(), amount: diff });
+        }
+        _Game_Actor_changeExp.call(this, exp, show);
+    };
+
+    const _Game_Actor_levelUp = Game_Actor.prototype.levelUp;
+    Game_Actor.prototype.levelUp = function () {
+        _Game_Actor_levelUp.call(this);
+        showAutoToast(AUTO_LEVEL_UP, { actor: this.name(), level: this.level });
+    };
+
+    const _Game_Actor_learnSkill = Game_Actor.prototype.learnSkill;
+    Game_Actor.prototype.learnSkill = function (skillId) {
+        const learned = this.isLearnedSkill(skillId);
+        _Game_Actor_learnSkill.call(this, skillId);
+        if (!learned && this.isLearnedSkill(skillId)) {
+            const skill = $dataSkills[skillId];
+            showAutoToast(
+                AUTO_SKILL,
+                itemValues(skill, { actor: this.name() })
+            );
+        }
+    };
+
+    const _Game_Battler_addState = Game_Battler.prototype.addState;
+    Game_Battler.prototype.addState = function (stateId) {
+        const affected = this.isStateAffected(stateId);
+        _Game_Battler_addState.call(this, stateId);
+        if (this.isActor() && !affected && this.isStateAffected(stateId)) {
+            const state = $dataStates[stateId];
+            showAutoToast(
+                AUTO_STATE,
+                itemValues(state, { actor: this.name() })
+            );
+        }
+    };
+
     //------------------------------------------------------------------------
     // Global Functions
     //------------------------------------------------------------------------
 
-    Game_System.prototype.showToast = function (message) {
-        showToast(message);
+    window.Window_Toast = Window_Toast;
+    window.Scene_ToastLog = Scene_ToastLog;
+    window.Scene_Achievements = Scene_Achievements;
+
+    Game_System.prototype.showToast = function (text, options) {
+        return showToast(text, options);
+    };
+
+    Game_System.prototype.updateToast = function (id, options) {
+        return updateToast(id, options);
+    };
+
+    Game_System.prototype.dismissToast = function (id) {
+        return dismissToast(id);
+    };
+
+    Game_System.prototype.showPopup = function (text, target, options) {
+        showPopup(text, target, options);
+    };
+
+    const _Game_System_onBeforeSave = Game_System.prototype.onBeforeSave;
+    Game_System.prototype.onBeforeSave = function () {
+        _Game_System_onBeforeSave.call(this);
+        this._toastQueue = SAVE_QUEUE ? toastQueue.slice() : null;
+    };
+
+    const _Game_System_onAfterLoad = Game_System.prototype.onAfterLoad;
+    Game_System.prototype.onAfterLoad = function () {
+        _Game_System_onAfterLoad.call(this);
+        if (this._toastQueue) {
+            toastQueue.push(...this._toastQueue);
+            this._toastQueue = null;
+        }
     };
 })();